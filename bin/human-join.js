@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+
+/**
+ * @file A command-line interface to the [humanJoin]{@link module:humanJoin}
+ * module, installed as the `human-join` command. Run `human-join --help` for
+ * usage information.
+ * @version 0.1.1
+ * @author Bart Busschots <bart.busschots@mu.ie>
+ * @license MIT
+ * @see https://github.com/bbusschots-mu/humanJoin.js
+ */
+
+var fs = require('fs');
+var path = require('path');
+var humanJoin = require('../humanJoin.js');
+
+//
+//=== Private Data Structures ==================================================
+//
+
+/**
+ * The exit codes used by the command.
+ *
+ * * `OK` - the list was joined and written to STDOUT
+ * * `ERROR` - the input could not be read or processed
+ * * `USAGE` - the command was called with invalid arguments
+ *
+ * @private
+ * @type {Object.<string, number>}
+ */
+var EXIT = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2
+};
+
+/**
+ * The options of the main function which can be set with flags, mapped to
+ * the kind of value they take:
+ *
+ * * `'boolean'` - no value, set to `true` with `--name` and to `false` with
+ *   `--no-name`
+ * * `'string'` - a single string value
+ * * `'number'` - a single integer value
+ * * `'flexible'` - a single string value, where `true` & `false` are
+ *   converted to booleans
+ * * `'pair'` - two string values
+ *
+ * Options which take callbacks can't be set from the command line.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+var OPTION_TYPES = {
+    strict: 'boolean',
+    separator: 'string',
+    conjunction: 'string',
+    pairConjunction: 'string',
+    escalate: 'flexible',
+    noConjunction: 'boolean',
+    emptyText: 'string',
+    empty: 'string',
+    emptyPlaceholder: 'string',
+    trimBlank: 'boolean',
+    singleTemplate: 'string',
+    quoteWith: 'flexible',
+    mirrorQuote: 'boolean',
+    quotePair: 'pair',
+    escapeQuotes: 'string',
+    locale: 'string',
+    pairFormat: 'string',
+    output: 'string',
+    wrapWith: 'string',
+    property: 'string',
+    unique: 'boolean',
+    sort: 'flexible',
+    ranges: 'boolean',
+    rangeDash: 'string',
+    minRangeLength: 'number',
+    maxItems: 'number',
+    overflowText: 'string',
+    maxLength: 'number',
+    lengthUnit: 'string',
+    truncateItems: 'boolean',
+    ellipsis: 'string',
+    and: 'boolean',
+    or: 'boolean',
+    oxford: 'boolean',
+    oxfordAnd: 'boolean',
+    oxfordOr: 'boolean'
+};
+
+/**
+ * Short flags and other aliases, mapped to the flags they stand for.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+var ALIASES = {
+    '-h': '--help',
+    '-v': '--version',
+    '-j': '--json',
+    '-0': '--null',
+    '-s': '--separator',
+    '-c': '--conjunction',
+    '-q': '--quote-with',
+    '-p': '--preset',
+    '--no-mirror': '--no-mirror-quote'
+};
+
+/**
+ * The usage information shown by `--help`.
+ *
+ * @private
+ * @type {string}
+ */
+var HELP = [
+    'Usage: human-join [options] [--] [item...]',
+    '',
+    'Join a list of items into a human-friendly string, e.g. "a, b & c".',
+    '',
+    'Items are taken from the arguments or, if there are none, from STDIN, one',
+    'item per line.',
+    '',
+    'Input:',
+    '  -j, --json               read the items as a JSON array, from the only',
+    '                           argument if there is one, otherwise from STDIN',
+    '  -0, --null               read NUL-delimited items from STDIN',
+    '',
+    'Joining:',
+    '  -s, --separator STR      the separator between items (default: ", ")',
+    '  -c, --conjunction STR    the separator before the last item (default: " & ")',
+    '  --pair-conjunction STR   the conjunction for lists of exactly two items',
+    '  --no-conjunction         use the separator before the last item too',
+    '  --escalate true|STR      use stronger separators for items containing the',
+    '                           separator',
+    '  --and, --or, --oxford, --oxford-and, --oxford-or',
+    '                           conjunction shortcuts',
+    '  -p, --preset NAME        apply a preset, may be repeated',
+    '  --NAME                   shortcut for --preset NAME',
+    '  --locale CODE            use a locale pack, e.g. fr or de-AT',
+    '',
+    'Quoting & formatting:',
+    '  -q, --quote-with STR     quote each item, true for the locale\'s quotes',
+    '  --no-mirror              use the opening quote to close quotes as-is',
+    '  --quote-pair OPEN CLOSE  quote each item with explicit quotes',
+    '  --escape-quotes backslash|double|alternate',
+    '                           escape quotes inside quoted items',
+    '  --output text|html|markdown',
+    '                           the kind of output to generate',
+    '  --wrap-with STR          markup to wrap each item with, e.g. "<b>"',
+    '  --property PATH          join a property of each JSON item',
+    '  --pair-format STR        the format for key-value pairs',
+    '',
+    'Ordering:',
+    '  --unique                 remove duplicate items',
+    '  --sort true|natural|locale',
+    '                           sort the items',
+    '  --ranges                 collapse consecutive integers into ranges',
+    '  --range-dash STR         the dash used in ranges (default: "–")',
+    '  --min-range-length N     the shortest run collapsed into a range',
+    '',
+    'Truncation & fallbacks:',
+    '  --max-items N            show at most N items',
+    '  --max-length N           drop items to fit within N characters',
+    '  --length-unit graphemes|width',
+    '                           how --max-length is measured',
+    '  --truncate-items         shorten an item that doesn\'t fit on its own',
+    '  --ellipsis STR           the ellipsis for shortened items',
+    '  --overflow-text STR      the summary of hidden items, e.g. "{count} more"',
+    '  --empty-text STR         the output for an empty list',
+    '  --empty keep|skip|placeholder|throw',
+    '                           what to do with empty items',
+    '  --empty-placeholder STR  the text shown for empty items (default: "(none)")',
+    '  --trim-blank             treat whitespace-only items as empty',
+    '  --single-template STR    the template for single items, e.g. "only {item}"',
+    '',
+    '  --strict                 reject invalid options and warn about conflicts',
+    '',
+    'Boolean options can be negated with --no-NAME. Arguments after -- are',
+    'always treated as items.',
+    '',
+    '  -h, --help               show this help and exit',
+    '  -v, --version            show the version number and exit',
+    '',
+    'Exit status: 0 on success, 1 if the input could not be processed, and 2 if',
+    'the arguments are invalid.'
+].join('\n');
+
+//
+//=== Private Helper Functions =================================================
+//
+
+/**
+ * An error caused by invalid command-line arguments.
+ *
+ * @private
+ * @constructor
+ * @param {string} message
+ */
+function UsageError(message){
+    this.name = 'UsageError';
+    this.message = message;
+}
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+/**
+ * Convert a kebab-case flag name to a camel-case option name, e.g.
+ * `quote-with` to `quoteWith`.
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function camelCase(name){
+    return name.replace(/-([a-z0-9])/g, function(m, c){ return c.toUpperCase(); });
+}
+
+/**
+ * Test whether an object has a key of its own, rather than one inherited from
+ * its prototype, e.g. `constructor`.
+ *
+ * @private
+ * @param {Object} obj
+ * @param {string} key
+ * @returns {boolean}
+ */
+function hasOwn(obj, key){
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * Parse the command-line arguments.
+ *
+ * @private
+ * @param {string[]} args - the arguments, without the node executable and
+ * script path.
+ * @returns {{items: string[], options: Object, presets: string[], json: boolean, nul: boolean, help: boolean, version: boolean}}
+ * @throws {UsageError} when the arguments are invalid.
+ */
+function parseArgs(args){
+    var ans = {items: [], options: {}, presets: [], json: false, nul: false, help: false, version: false};
+    for(var i = 0; i < args.length; i++){
+        var arg = args[i];
+        
+        // everything after -- and anything that isn't a flag is an item
+        if(arg === '--'){
+            ans.items = ans.items.concat(args.slice(i + 1));
+            break;
+        }
+        if(arg.length < 2 || arg.charAt(0) !== '-'){
+            ans.items.push(arg);
+            continue;
+        }
+        
+        // split off inline values, e.g. --separator=;, and expand aliases
+        var value = null;
+        var eq = arg.indexOf('=');
+        if(arg.indexOf('--') === 0 && eq !== -1){
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+        var flag = hasOwn(ALIASES, arg) ? ALIASES[arg] : arg;
+        
+        // a local function to get the next value for the current flag
+        var nextValue = function(){
+            if(value !== null){
+                var inline = value;
+                value = null;
+                return inline;
+            }
+            if(i + 1 >= args.length){
+                throw new UsageError('missing value for ' + arg);
+            }
+            return args[++i];
+        };
+        
+        // deal with the flags that control the command itself
+        if(flag === '--help' || flag === '--version' || flag === '--json' || flag === '--null'){
+            ans[flag === '--null' ? 'nul' : flag.slice(2)] = true;
+            continue;
+        }
+        if(flag === '--preset'){
+            ans.presets.push(nextValue());
+            continue;
+        }
+        
+        // deal with the flags for options, and their negations
+        var name = camelCase(flag.slice(2));
+        var negated = false;
+        if(!hasOwn(OPTION_TYPES, name) && flag.indexOf('--no-') === 0){
+            name = camelCase(flag.slice(5));
+            negated = true;
+        }
+        var type = flag.indexOf('--') === 0 && hasOwn(OPTION_TYPES, name) ? OPTION_TYPES[name] : undefined;
+        if(!type){
+            // fall back to treating the flag as a preset name
+            name = camelCase(flag.slice(2));
+            if(!negated && flag.indexOf('--') === 0 && hasOwn(humanJoin.presets, name)){
+                ans.presets.push(name);
+                continue;
+            }
+            throw new UsageError('unknown option ' + arg);
+        }
+        if(negated && type !== 'boolean'){
+            throw new UsageError('option --' + flag.slice(5) + ' can\'t be negated');
+        }
+        if(type === 'boolean'){
+            if(value !== null){
+                throw new UsageError('option ' + arg + ' doesn\'t take a value');
+            }
+            ans.options[name] = !negated;
+        }else if(type === 'number'){
+            var str = nextValue();
+            if(!/^\d+$/.test(str)){
+                throw new UsageError('option ' + arg + ' requires a whole number, got \'' + str + '\'');
+            }
+            ans.options[name] = parseInt(str, 10);
+        }else if(type === 'pair'){
+            ans.options[name] = [nextValue(), nextValue()];
+        }else{
+            ans.options[name] = nextValue();
+            if(type === 'flexible' && (ans.options[name] === 'true' || ans.options[name] === 'false')){
+                ans.options[name] = ans.options[name] === 'true';
+            }
+        }
+    }
+    return ans;
+}
+
+/**
+ * Split text into items, one per line or NUL-delimited. A single trailing
+ * delimiter is ignored.
+ *
+ * @private
+ * @param {string} text
+ * @param {boolean} nul - whether the items are NUL-delimited.
+ * @returns {string[]}
+ */
+function splitInput(text, nul){
+    if(text.length === 0){
+        return [];
+    }
+    var ans = text.split(nul ? '\0' : /\r?\n/);
+    if(ans[ans.length - 1] === ''){
+        ans.pop();
+    }
+    return ans;
+}
+
+/**
+ * Parse a JSON array of items.
+ *
+ * @private
+ * @param {string} text
+ * @returns {Array}
+ * @throws {Error} when the text is not a JSON array.
+ */
+function parseJSONList(text){
+    var ans;
+    try{
+        ans = JSON.parse(text);
+    }catch(err){
+        throw new Error('invalid JSON input: ' + err.message);
+    }
+    if(!Array.isArray(ans)){
+        throw new Error('JSON input must be an array');
+    }
+    return ans;
+}
+
+/**
+ * Run the command.
+ *
+ * @private
+ * @param {string[]} args - the command-line arguments, without the node
+ * executable and script path.
+ * @returns {number} the exit code.
+ */
+function main(args){
+    var parsed;
+    try{
+        parsed = parseArgs(args);
+    }catch(err){
+        if(!(err instanceof UsageError)){
+            throw err;
+        }
+        process.stderr.write('human-join: ' + err.message + '\nTry \'human-join --help\' for more information.\n');
+        return EXIT.USAGE;
+    }
+    if(parsed.help){
+        process.stdout.write(HELP + '\n');
+        return EXIT.OK;
+    }
+    if(parsed.version){
+        process.stdout.write(require(path.join(__dirname, '..', 'package.json')).version + '\n');
+        return EXIT.OK;
+    }
+    
+    // read the items
+    var items;
+    try{
+        if(parsed.json){
+            if(parsed.items.length > 1){
+                throw new UsageError('--json accepts at most one argument');
+            }
+            items = parseJSONList(parsed.items.length ? parsed.items[0] : fs.readFileSync(0, 'utf8'));
+        }else if(parsed.items.length){
+            items = parsed.items;
+        }else if(process.stdin.isTTY){
+            throw new UsageError('no items given, and STDIN is a terminal');
+        }else{
+            items = splitInput(fs.readFileSync(0, 'utf8'), parsed.nul);
+        }
+    }catch(err){
+        process.stderr.write('human-join: ' + err.message + '\n');
+        return err instanceof UsageError ? EXIT.USAGE : EXIT.ERROR;
+    }
+    
+    // join them
+    var options = parsed.options;
+    if(parsed.presets.length){
+        options.preset = parsed.presets;
+    }
+    if(options.strict){
+        // invalid option values are usage errors, rather than input errors
+        try{
+            humanJoin.validateOptions(options);
+        }catch(err){
+            process.stderr.write('human-join: ' + err.message + '\nTry \'human-join --help\' for more information.\n');
+            return EXIT.USAGE;
+        }
+    }
+    try{
+        process.stdout.write(humanJoin(items, options) + '\n');
+    }catch(err){
+        process.stderr.write('human-join: ' + err.message + '\n');
+        return EXIT.ERROR;
+    }
+    return EXIT.OK;
+}
+
+//
+//=== Run the Command ==========================================================
+//
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,10 @@
+// Type definitions for the ES module entry point of @maynoothuniversity/human-join
+
+import humanJoin = require('./humanJoin.js');
+
+export default humanJoin;
+export { humanJoin };
+export type { List, Options, OptionsArg, OverflowText, PluralCategory, PluralDictionary, Pluralize, CountsOptions, EntriesOptions, SentenceOptions, SentenceTemplates, LocalePack, Part, ListWithOptions, Tag, HumanJoin } from './humanJoin.js';
+export declare const mirrorString: humanJoin.HumanJoin['mirrorString'];
+export declare const mirrorCharacter: humanJoin.HumanJoin['mirrorCharacter'];
+export declare const resetOptionDefaults: humanJoin.HumanJoin['resetOptionDefaults'];
@@ -0,0 +1,214 @@
+// Type definitions for @maynoothuniversity/human-join
+// See humanJoin.js for the full documentation of each function and option.
+
+declare namespace humanJoin {
+    /** The kinds of list the main function accepts. */
+    type List = ArrayLike<unknown> | Iterable<unknown> | Map<unknown, unknown>;
+
+    /** The options accepted by the main function, or a preset or shortcut name. */
+    type OptionsArg = Options | string;
+
+    /** A summary of hidden items: a template, templates by plural category, or a callback. */
+    type OverflowText =
+        | string
+        | { zero?: string; one?: string; two?: string; few?: string; many?: string; other: string }
+        | ((count: number) => string);
+
+    interface Options {
+        /** The name of a preset, or an array of names, to apply first. */
+        preset?: string | string[];
+        /** Throw on invalid options and warn about conflicts. Default `false`. */
+        strict?: boolean;
+        /** The separator between items. Default `', '`. */
+        separator?: string | number;
+        /** The separator before the last item, or `false` for none. Default `' & '`. */
+        conjunction?: string | number | boolean;
+        /** The conjunction for lists of exactly two items. */
+        pairConjunction?: string | number;
+        /** `true` or a stronger separator to use when items contain the separator. */
+        escalate?: boolean | string;
+        /** Use the separator before the last item too. */
+        noConjunction?: boolean;
+        /** The string returned for empty lists. Default `''`. */
+        emptyText?: string | number;
+        /** What to do with `null`, `undefined` and empty string items. Default `'keep'`. */
+        empty?: 'keep' | 'skip' | 'placeholder' | 'throw';
+        /** The text shown in place of empty items. Default `'(none)'`. */
+        emptyPlaceholder?: string | number;
+        /** Treat strings containing only whitespace as empty. */
+        trimBlank?: boolean;
+        /** A template for single-item lists, with an `{item}` placeholder. */
+        singleTemplate?: string;
+        /** A string to quote each item with, or `true` for the locale's quotes. */
+        quoteWith?: string | number | boolean;
+        /** Whether to mirror the opening quote to close it. Default `true`. */
+        mirrorQuote?: boolean;
+        /** An explicit opening and closing quote. */
+        quotePair?: [string | number, string | number];
+        /** How to escape quotes inside quoted items, or a callback. */
+        escapeQuotes?: 'backslash' | 'double' | 'alternate' | ((item: string, open: string, close: string) => string);
+        /** The code of a registered locale pack, e.g. `'fr'` or `'de-AT'`. */
+        locale?: string;
+        /** The format for key-value pairs, a template or a callback. */
+        pairFormat?: string | ((key: any, value: any) => string);
+        /** The kind of output to generate. Default `'text'`. */
+        output?: 'text' | 'html' | 'markdown';
+        /** Markup to wrap each item with, or explicit opening and closing markup. */
+        wrapWith?: string | [string, string];
+        /** A property name or dotted path to join instead of the items. */
+        property?: string | number;
+        /** A callback to convert each item to a string. */
+        format?: (item: any, index: number, list: any[]) => unknown;
+        /** Remove duplicate items. */
+        unique?: boolean;
+        /** How to sort the items. */
+        sort?: boolean | 'natural' | 'locale' | ((a: any, b: any) => number);
+        /** A callback to generate the keys items are sorted and de-duplicated by. */
+        key?: (item: any, index: number, list: any[]) => unknown;
+        /** Collapse runs of consecutive integers into ranges. */
+        ranges?: boolean;
+        /** The string between the ends of a range. Default `'–'`. */
+        rangeDash?: string | number;
+        /** The shortest run collapsed into a range. Default `3`. */
+        minRangeLength?: number;
+        /** The maximum number of items to show. */
+        maxItems?: number;
+        /** The summary of hidden items. */
+        overflowText?: OverflowText;
+        /** The maximum length of the joined string. */
+        maxLength?: number;
+        /** How `maxLength` is measured. Default `'graphemes'`. */
+        lengthUnit?: 'graphemes' | 'width';
+        /** Shorten the first item with an ellipsis if it doesn't fit on its own. */
+        truncateItems?: boolean;
+        /** The ellipsis for shortened items. Default `'…'`. */
+        ellipsis?: string;
+        /** Shortcut for the locale's conjunction, e.g. `' and '`. */
+        and?: boolean;
+        /** Shortcut for the locale's disjunction, e.g. `' or '`. */
+        or?: boolean;
+        /** Shortcut for the locale's Oxford conjunction, e.g. `', and '`. */
+        oxford?: boolean;
+        /** Synonym for `oxford`. */
+        oxfordAnd?: boolean;
+        /** Shortcut for the locale's Oxford disjunction, e.g. `', or '`. */
+        oxfordOr?: boolean;
+    }
+
+    /** The plural categories used by `Intl.PluralRules`. */
+    type PluralCategory = 'zero' | 'one' | 'two' | 'few' | 'many' | 'other';
+
+    /** A dictionary of irregular plurals, indexed by noun in the singular. */
+    type PluralDictionary = { [noun: string]: string | { [category in PluralCategory]?: string } };
+
+    /** A callback to generate the form of a noun for a count. */
+    type Pluralize = (noun: string, category: PluralCategory, count: number) => string;
+
+    /** The options accepted by `humanJoin.counts()`. */
+    interface CountsOptions extends Options {
+        /** Include nouns with a count of zero. Default `false`. */
+        showZeros?: boolean;
+        /** Irregular plurals, which take precedence over the locale's. */
+        plurals?: PluralDictionary;
+        /** A callback to use in place of the locale's `pluralize` callback. */
+        pluralize?: Pluralize;
+        /** `true` or `Intl.NumberFormat` options to format counts for the locale, or a callback. */
+        numberFormat?: boolean | Intl.NumberFormatOptions | ((count: number) => string);
+        /** The template for each item. Default `'{count} {noun}'`. */
+        countTemplate?: string;
+    }
+
+    /** The options accepted by `humanJoin.sentence()`. */
+    interface SentenceOptions extends Options {
+        /** Capitalise the first letter of the sentence. Default `false`. */
+        capitalize?: boolean;
+        /** `true` to end the sentence with the locale's full stop, or the punctuation to use. */
+        punctuate?: boolean | string;
+        /** `true` or `Intl.NumberFormat` options to format the count for the locale, or a callback. */
+        numberFormat?: boolean | Intl.NumberFormatOptions | ((count: number) => string);
+    }
+
+    /** The templates for `humanJoin.sentence()`, indexed by plural category. */
+    type SentenceTemplates = string | { [category in PluralCategory]?: string };
+
+    /** The options accepted by `humanJoin.entries()`. */
+    interface EntriesOptions extends Options {
+        /** The string between each key and its value. Default `': '`. */
+        keyValueDelimiter?: string | number;
+        /** A string to quote keys with, or `true` for the locale's quotes. */
+        quoteKeys?: boolean | string;
+        /** A string to quote values with, or `true` for the locale's quotes. */
+        quoteValues?: boolean | string;
+        /** The keys to include, or a callback to choose them. */
+        keyFilter?: string[] | RegExp | ((key: string, value: unknown, path: string[]) => unknown);
+        /** How to render nested objects. Default `'flatten'`. */
+        nested?: 'flatten' | 'brackets';
+        /** The separator for flattened paths. Default `'.'`. */
+        pathSeparator?: string;
+        /** The opening bracket for sub-lists, or explicit brackets. Default `'('`. */
+        bracketWith?: string | [string, string];
+    }
+
+    /** A locale pack, see `humanJoin.locales`. */
+    interface LocalePack {
+        separator?: string;
+        conjunction?: string;
+        disjunction?: string;
+        oxfordConjunction?: string;
+        oxfordDisjunction?: string;
+        quotes?: [string, string];
+        overflow?: OverflowText;
+        adjustConjunction?: (conjunction: string, nextItem: string) => string;
+        pluralize?: Pluralize;
+        plurals?: PluralDictionary;
+        fullStop?: string;
+    }
+
+    /** A part of a joined string, as returned by `humanJoin.toParts()`. */
+    interface Part {
+        type: 'element' | 'quoteOpen' | 'quoteClose' | 'separator' | 'conjunction' | 'overflow' | 'literal';
+        value: string;
+        index?: number;
+    }
+
+    /** A list wrapped with its options by `humanJoin.opts()`. */
+    interface ListWithOptions {
+        readonly list: List;
+        readonly options?: OptionsArg;
+    }
+
+    /** A template literal tag which joins interpolated lists. */
+    type Tag = (strings: TemplateStringsArray, ...values: unknown[]) => string;
+
+    /** An instance of the main function, with its helper functions. */
+    interface HumanJoin {
+        (list: List, options?: OptionsArg): string;
+        toParts(list: List, options?: OptionsArg): Part[];
+        split(str: string, options?: OptionsArg): string[];
+        counts(counts: Map<string, number> | { [noun: string]: number }, options?: CountsOptions | string): string;
+        entries(obj: Map<unknown, unknown> | object, options?: EntriesOptions | string): string;
+        sentence(list: List, templates: SentenceTemplates, options?: SentenceOptions | string): string;
+        validateOptions(options?: OptionsArg): string[];
+        tagWith(options?: OptionsArg): Tag;
+        tag: Tag;
+        opts(list: List, options?: OptionsArg): ListWithOptions;
+        create(defaults?: Options): HumanJoin;
+        optionDefaults: CountsOptions & EntriesOptions & SentenceOptions;
+        resetOptionDefaults(): void;
+        locales: { [code: string]: LocalePack };
+        registerLocale(code: string, pack: LocalePack): void;
+        resolveLocale(code: string): LocalePack | undefined;
+        presets: { [name: string]: Options };
+        definePreset(name: string, options: Options): void;
+        removePreset(name: string): boolean;
+        mirrorMap: { [character: string]: string };
+        quotePairs: { [open: string]: string };
+        mirrorCharacter(c: string): string;
+        mirrorString(str: string): string;
+        closingQuote(open: string): string;
+    }
+}
+
+declare const humanJoin: humanJoin.HumanJoin;
+
+export = humanJoin;
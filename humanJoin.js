@@ -19,379 +19,3708 @@
  * @module humanJoin
  */
 
-//
-//=== Define the Main Function =================================================
-//
-
-/**
- * A function for converting lists into human-friendly joined stings, e.g.
- * `['A', 'B', 'C']` into `'A, B & C'`.
- *
- * By default this function uses `', '` as the separator, `' & '` as the
- * conjunction (the special separator used between the last two items in the
- * list), and does not wrap the items in the list in any kind of quotation.
- *
- * The default behaviour can be altered by editing the keys in
- * [humanJoin.optionDefaults]{@link module:humanJoin.optionDefaults}, and the
- * default option defaults can be restored by calling the function
- * [humanJoin.resetOptionDefaults()]{@link module:humanJoin.resetOptionDefaults}.
- *
- * @alias humanJoin
- * @param {Arguments|string[]} list - a list of strings to join, can be an
- * `Arguments` object, but would normally be an array.
- * @param {string|Object} [options] - an associative array of options, or, the
- * name of one of the short-cut options as a string.
- * @param {string} [options.separator=', '] - the separator to use between
- * elements in the list.
- * @param {string} [options.conjunction=' & '] - the special separator to use
- * between the last two elements in the list.
- * @param {boolean} [options.noConjunction=false] - a truthy value to suppress
- * use of the conjunction between the last two elements in the list, the regular
- * separator will be used instead.
- * @param {boolean|string} [options.quoteWith=false] - an optional string to
- * quote each element of the list with before joining, or `false` to indicate
- * no quoting should occour.
- * @param {boolean} [options.mirrorQuote=true] - whether or not to mirror the
- * string used to quote each element of the list before joining. Multi-character
- * strings will have their character order reversed to the right of the item
- * being quoted, and characters that have an obvious mirror will
- * be replaced with their mirrored version, e.g. `(<` becomes `>)`. This setting
- * has no effect if `options.mirrorQuote` is `false`;
- * @param {boolean} [options.and=undefined] - any truthy value acts as a
- * shortcut for `options.conjunction=' and '`
- * @param {boolean} [options.or=undefined] - any truthy value acts as a shortcut
- * for `options.conjunction=' or '`
- * @param {boolean} [options.oxford=undefined] - any truthy value acts as a
- * shortcut for `options.conjunction=', and '`
- * @param {boolean} [options.oxfordAnd=undefined] - any truthy value acts as a
- * shortcut for `options.conjunction=', and '`
- * @param {boolean} [options.oxfordOr=undefined] - any truthy value acts as a
- * shortcut for `options.conjunction=', or '`
- * @returns {string} a string is always returned, though it may be empty or the
- * result of converting a non-string object to a string.
- * @see module:humanJoin.optionDefaults
- * @see module:humanJoin.resetOptionDefaults
- * @example
- * var list = ['apples', 'oranges', 'pears'];
- *
- * var human = humanJoin(list); // apples, oranges & pears
- *
- * var h2a = humanJoin(list, {and: true}); // apples, oranges and pears
- * var h2b = humanJoin(list, 'and'); // apples, oranges and pears
- *
- * var h3 = humanJoin(list, 'or'); // apples, oranges or pears
- *
- * var h4 = humanJoin(list, 'oxford'); // apples, oranges, and pears
- *
- * var h5 = humanJoin(list, 'oxfordOr'); // apples, oranges, or pears
- *
- * var quoted1 = humanJoin(list, {quoteWith: '"'});
- * // "apples", "oranges" & "pears"
- *
- * var quoted2 = humanJoin(list, {quoteWith: '<<'});
- * // <<apples>>, <<oranges>> & <<pears>>
- *
- * var humanComplex1 = humanJoin(
- *     list,
- *     {
- *         separator: ' or ',
- *         conjunction: ' or even '
- *     }
- * );
- * // apples or oranges or even pears
- *
- * var humanComplex2 = humanJoin(
- *     list,
- *     {
- *         separator: ' or ',
- *         conjunction: false
- *     }
- * );
- * // apples or oranges or pears
- *
- * var humanComplex3 = humanJoin(
- *     list,
- *     {
- *         quoteWith: "'",
- *         oxford: true
- *     }
- * );
- * // 'apples', 'oranges', and 'pears'
- */
-var humanJoin = function(list, options){
-    // short-circuit non-arrays
-    if(!Array.isArray(list) || Object.prototype.toString.call(list) === '[object Arguments]'){
-        return String(list);
+(function(root, factory){
+    if(typeof define === 'function' && define.amd){
+        define([], factory); // AMD
+    }else if(typeof module === 'object' && module && module.exports){
+        module.exports = factory(); // CommonJS
+    }else{
+        root.humanJoin = factory(); // browser global
     }
+})(typeof self !== 'undefined' ? self : this, function(){
+    //
+    //=== Private Data Structures ==============================================
+    //
+
+    /**
+     * The pairs of characters that are each other's mirror image according to the
+     * `Bidi_Mirroring_Glyph` property from the Unicode Character Database, as a
+     * string of adjacent pairs.
+     *
+     * @private
+     * @type {string}
+     */
+    var BIDI_MIRROR_PAIRS = '()<>[]{}«»༺༻༼༽᚛᚜‹›⁅⁆⁽⁾₍₎∈∋∉∌∊∍∕⧵' +
+        '∟⯾∠⦣∡⦛∢⦠∤⫮∼∽≃⋍≅≌≒≓≔≕≤≥≦≧≨≩≪≫≮≯≰≱' +
+        '≲≳≴≵≶≷≸≹≺≻≼≽≾≿⊀⊁⊂⊃⊄⊅⊆⊇⊈⊉⊊⊋⊏⊐⊑⊒⊘⦸' +
+        '⊢⊣⊦⫞⊨⫤⊩⫣⊫⫥⊰⊱⊲⊳⊴⊵⊶⊷⊸⟜⋉⋊⋋⋌⋐⋑⋖⋗⋘⋙⋚⋛' +
+        '⋜⋝⋞⋟⋠⋡⋢⋣⋤⋥⋦⋧⋨⋩⋪⋫⋬⋭⋰⋱⋲⋺⋳⋻⋴⋼⋶⋽⋷⋾⌈⌉' +
+        '⌊⌋〈〉❨❩❪❫❬❭❮❯❰❱❲❳❴❵⟃⟄⟅⟆⟈⟉⟋⟍⟕⟖⟝⟞⟢⟣' +
+        '⟤⟥⟦⟧⟨⟩⟪⟫⟬⟭⟮⟯⦃⦄⦅⦆⦇⦈⦉⦊⦋⦌⦍⦐⦎⦏⦑⦒⦓⦔⦕⦖' +
+        '⦗⦘⦤⦥⦨⦩⦪⦫⦬⦭⦮⦯⧀⧁⧄⧅⧏⧐⧑⧒⧔⧕⧘⧙⧚⧛⧨⧩⧸⧹⧼⧽' +
+        '⨫⨬⨭⨮⨴⨵⨼⨽⩤⩥⩹⩺⩻⩼⩽⩾⩿⪀⪁⪂⪃⪄⪅⪆⪇⪈⪉⪊⪋⪌⪍⪎' +
+        '⪏⪐⪑⪒⪓⪔⪕⪖⪗⪘⪙⪚⪛⪜⪝⪞⪟⪠⪡⪢⪦⪧⪨⪩⪪⪫⪬⪭⪯⪰⪱⪲' +
+        '⪳⪴⪵⪶⪷⪸⪹⪺⪻⪼⪽⪾⪿⫀⫁⫂⫃⫄⫅⫆⫇⫈⫉⫊⫋⫌⫍⫎⫏⫐⫑⫒' +
+        '⫓⫔⫕⫖⫬⫭⫷⫸⫹⫺⸂⸃⸄⸅⸉⸊⸌⸍⸜⸝⸠⸡⸢⸣⸤⸥⸦⸧⸨⸩〈〉' +
+        '《》「」『』【】〔〕〖〗〘〙〚〛﹙﹚﹛﹜﹝﹞﹤﹥（）＜＞［］｛｝' +
+        '｟｠｢｣';
+
+    /**
+     * Additional pairs of characters that are each other's mirror image, but are
+     * not covered by the Unicode `Bidi_Mirroring_Glyph` property, as a string of
+     * adjacent pairs: the directional quotation marks, arrows & pointers.
+     *
+     * @private
+     * @type {string}
+     */
+    var EXTRA_MIRROR_PAIRS = '\u201C\u201D\u2018\u2019' + // “” ‘’
+        '\u2190\u2192\u21D0\u21D2\u2B05\u27A1\u25C0\u25B6\u25C4\u25BA' + // ←→ ⇐⇒ ⬅➡ ◀▶ ◄►
+        '\u23EA\u23E9\uD83D\uDC48\uD83D\uDC49'; // ⏪⏩ 👈👉
+
+    /**
+     * A regular expression matching a single grapheme cluster, used when
+     * `Intl.Segmenter` is not available. This is an approximation of the Unicode
+     * rules which handles CRLF, regional indicator pairs (flags), surrogate pairs,
+     * combining marks, variation selectors, emoji modifiers & tags, and zero width
+     * joiner sequences.
+     *
+     * @private
+     * @type {RegExp}
+     */
+    var GRAPHEME_REGEX = (function(){
+        var base = '(?:[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]|[\\s\\S])';
+        var extend = '(?:[\\u0300-\\u036F\\u1AB0-\\u1AFF\\u1DC0-\\u1DFF\\u20D0-\\u20FF\\uFE00-\\uFE0F\\uFE20-\\uFE2F]|\\uD83C[\\uDFFB-\\uDFFF]|\\uDB40[\\uDC20-\\uDC7F])';
+        var flag = '\\uD83C[\\uDDE6-\\uDDFF]\\uD83C[\\uDDE6-\\uDDFF]';
+        return new RegExp('\\r\\n|' + flag + '|' + base + extend + '*(?:\\u200D' + base + extend + '*)*', 'g');
+    })();
+
+    /**
+     * The ranges of code points which are displayed two columns wide in a
+     * terminal, i.e. those with the Unicode `East_Asian_Width` property `W` or
+     * `F`, as pairs of first and last code points in ascending order. These
+     * include the CJK ideographs, kana, Hangul, full width forms, and emoji with
+     * an emoji presentation by default.
+     *
+     * @private
+     * @type {Array.<number[]>}
+     */
+    var WIDE_RANGES = [
+        [0x1100, 0x115F], [0x231A, 0x231B], [0x2329, 0x232A], [0x23E9, 0x23EC],
+        [0x23F0, 0x23F0], [0x23F3, 0x23F3], [0x25FD, 0x25FE], [0x2614, 0x2615],
+        [0x2648, 0x2653], [0x267F, 0x267F], [0x2693, 0x2693], [0x26A1, 0x26A1],
+        [0x26AA, 0x26AB], [0x26BD, 0x26BE], [0x26C4, 0x26C5], [0x26CE, 0x26CE],
+        [0x26D4, 0x26D4], [0x26EA, 0x26EA], [0x26F2, 0x26F3], [0x26F5, 0x26F5],
+        [0x26FA, 0x26FA], [0x26FD, 0x26FD], [0x2705, 0x2705], [0x270A, 0x270B],
+        [0x2728, 0x2728], [0x274C, 0x274C], [0x274E, 0x274E], [0x2753, 0x2755],
+        [0x2757, 0x2757], [0x2795, 0x2797], [0x27B0, 0x27B0], [0x27BF, 0x27BF],
+        [0x2B1B, 0x2B1C], [0x2B50, 0x2B50], [0x2B55, 0x2B55], [0x2E80, 0x303E],
+        [0x3041, 0x33FF], [0x3400, 0x4DBF], [0x4E00, 0x9FFF], [0xA000, 0xA4CF],
+        [0xA960, 0xA97F], [0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE10, 0xFE19],
+        [0xFE30, 0xFE6F], [0xFF00, 0xFF60], [0xFFE0, 0xFFE6], [0x16FE0, 0x16FE4],
+        [0x17000, 0x18CFF], [0x1B000, 0x1B2FF], [0x1F004, 0x1F004], [0x1F0CF, 0x1F0CF],
+        [0x1F18E, 0x1F18E], [0x1F191, 0x1F19A], [0x1F1E6, 0x1F1FF], [0x1F200, 0x1F251],
+        [0x1F300, 0x1F320], [0x1F32D, 0x1F335], [0x1F337, 0x1F37C], [0x1F37E, 0x1F393],
+        [0x1F3A0, 0x1F3CA], [0x1F3CF, 0x1F3D3], [0x1F3E0, 0x1F3F0], [0x1F3F4, 0x1F3F4],
+        [0x1F3F8, 0x1F43E], [0x1F440, 0x1F440], [0x1F442, 0x1F4FC], [0x1F4FF, 0x1F53D],
+        [0x1F54B, 0x1F54E], [0x1F550, 0x1F567], [0x1F57A, 0x1F57A], [0x1F595, 0x1F596],
+        [0x1F5A4, 0x1F5A4], [0x1F5FB, 0x1F64F], [0x1F680, 0x1F6C5], [0x1F6CC, 0x1F6CC],
+        [0x1F6D0, 0x1F6D2], [0x1F6D5, 0x1F6D7], [0x1F6EB, 0x1F6EC], [0x1F6F4, 0x1F6FC],
+        [0x1F7E0, 0x1F7EB], [0x1F90C, 0x1F93A], [0x1F93C, 0x1F945], [0x1F947, 0x1F9FF],
+        [0x1FA70, 0x1FAFF], [0x20000, 0x2FFFD], [0x30000, 0x3FFFD]
+    ];
+
+    /**
+     * The names of the HTML void elements, i.e. the elements that have no
+     * closing tag.
+     *
+     * @private
+     * @type {string[]}
+     */
+    var VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+    /**
+     * The options accepted by the main function, and the values they accept in
+     * strict mode. Each option is mapped to an object with the following keys:
+     *
+     * * `types` - the kinds of value accepted, any of `'string'`, `'number'`,
+     *   `'boolean'`, `'function'`, `'object'` & `'array'`
+     * * `values` - optionally, the only strings accepted
+     * * `min` - optionally, the smallest value accepted, for options that must
+     *   be integers
+     * * `length` - optionally, the required length for arrays
+     *
+     * Arrays must contain only strings or numbers, and `undefined` is accepted
+     * for every option.
+     *
+     * @private
+     * @type {Object.<string, Object>}
+     */
+    var OPTION_SPECS = {
+        preset: { types: ['string', 'array'] },
+        strict: { types: ['boolean'] },
+        separator: { types: ['string', 'number'] },
+        conjunction: { types: ['string', 'number', 'boolean'] },
+        pairConjunction: { types: ['string', 'number'] },
+        escalate: { types: ['boolean', 'string'] },
+        noConjunction: { types: ['boolean'] },
+        emptyText: { types: ['string', 'number'] },
+        empty: { types: ['string'], values: ['keep', 'skip', 'placeholder', 'throw'] },
+        emptyPlaceholder: { types: ['string', 'number'] },
+        trimBlank: { types: ['boolean'] },
+        singleTemplate: { types: ['string'] },
+        quoteWith: { types: ['string', 'number', 'boolean'] },
+        mirrorQuote: { types: ['boolean'] },
+        quotePair: { types: ['array'], length: 2 },
+        escapeQuotes: { types: ['string', 'function'], values: ['backslash', 'double', 'alternate'] },
+        locale: { types: ['string'] },
+        pairFormat: { types: ['string', 'function'] },
+        output: { types: ['string'], values: ['text', 'html', 'markdown'] },
+        wrapWith: { types: ['string', 'array'] },
+        property: { types: ['string', 'number'] },
+        format: { types: ['function'] },
+        unique: { types: ['boolean'] },
+        sort: { types: ['boolean', 'string', 'function'], values: ['natural', 'locale'] },
+        key: { types: ['function'] },
+        ranges: { types: ['boolean'] },
+        rangeDash: { types: ['string', 'number'] },
+        minRangeLength: { types: ['number'], min: 2 },
+        maxItems: { types: ['number'], min: 1 },
+        overflowText: { types: ['string', 'object', 'function'] },
+        maxLength: { types: ['number'], min: 1 },
+        lengthUnit: { types: ['string'], values: ['graphemes', 'width'] },
+        truncateItems: { types: ['boolean'] },
+        ellipsis: { types: ['string'] },
+        and: { types: ['boolean'] },
+        or: { types: ['boolean'] },
+        oxford: { types: ['boolean'] },
+        oxfordAnd: { types: ['boolean'] },
+        oxfordOr: { types: ['boolean'] }
+    };
+
+    /**
+     * The boolean shortcuts that set the conjunction, in the order they are
+     * applied, so later shortcuts take precedence over earlier ones.
+     *
+     * @private
+     * @type {string[]}
+     */
+    var CONJUNCTION_SHORTCUTS = ['noConjunction', 'and', 'or', 'oxford', 'oxfordAnd', 'oxfordOr'];
     
-    // short-circuit empty lists
-    if(list.length === 0){
-        return '';
-    }
+    /**
+     * The secondary quote style for each quote, as an opening and closing quote,
+     * used by the `'alternate'` strategy of the `escapeQuotes` option.
+     *
+     * @private
+     * @type {Object.<string, string[]>}
+     */
+    var ALTERNATE_QUOTES = {
+        '"': ["'", "'"],
+        "'": ['"', '"'],
+        '\u201C': ['\u2018', '\u2019'], // “ → ‘’
+        '\u2018': ['\u201C', '\u201D'], // ‘ → “”
+        '\u201E': ['\u201A', '\u2018'], // „ → ‚‘
+        '\u201A': ['\u201E', '\u201C'], // ‚ → „“
+        '\u00AB': ['\u2039', '\u203A'], // « → ‹›
+        '\u2039': ['\u00AB', '\u00BB'], // ‹ → «»
+        '\u00BB': ['\u203A', '\u2039'], // » → ›‹
+        '\u300C': ['\u300E', '\u300F'], // 「 → 『』
+        '\u300E': ['\u300C', '\u300D']  // 『 → 「」
+    };
+    
+    /**
+     * The options accepted by [humanJoin.counts()]{@link module:humanJoin.counts}
+     * in addition to those of the main function, in the same form as
+     * `OPTION_SPECS`.
+     *
+     * @private
+     * @type {Object.<string, Object>}
+     */
+    var COUNT_OPTION_SPECS = {
+        showZeros: { types: ['boolean'] },
+        plurals: { types: ['object'] },
+        pluralize: { types: ['function'] },
+        numberFormat: { types: ['boolean', 'object', 'function'] },
+        countTemplate: { types: ['string'] }
+    };
+    
+    /**
+     * The options accepted by [humanJoin.sentence()]{@link module:humanJoin.sentence}
+     * in addition to those of the main function, in the same form as
+     * `OPTION_SPECS`.
+     *
+     * @private
+     * @type {Object.<string, Object>}
+     */
+    var SENTENCE_OPTION_SPECS = {
+        capitalize: { types: ['boolean'] },
+        punctuate: { types: ['boolean', 'string'] },
+        numberFormat: COUNT_OPTION_SPECS.numberFormat
+    };
     
-    // make sure we have a sane options object
-    if(typeof options === 'string'){
-        var newOptions = {};
-        newOptions[options] = true;
-        options = newOptions;
+    /**
+     * The options accepted by [humanJoin.entries()]{@link module:humanJoin.entries}
+     * in addition to those of the main function, in the same form as
+     * `OPTION_SPECS`.
+     *
+     * @private
+     * @type {Object.<string, Object>}
+     */
+    var ENTRY_OPTION_SPECS = {
+        keyValueDelimiter: { types: ['string', 'number'] },
+        quoteKeys: { types: ['boolean', 'string'] },
+        quoteValues: { types: ['boolean', 'string'] },
+        keyFilter: { types: ['function', 'array', 'object'] },
+        nested: { types: ['string'], values: ['flatten', 'brackets'] },
+        pathSeparator: { types: ['string'] },
+        bracketWith: { types: ['string', 'array'], length: 2 }
+    };
+
+    //
+    //=== Define the Factory ===================================================
+    //
+
+    /**
+     * Build an instance of the main function, complete with its own helper data
+     * structures and helper functions.
+     *
+     * @private
+     * @param {Object} baseDefaults - the option defaults for the instance, and
+     * the values its `resetOptionDefaults()` function restores.
+     * @returns {function}
+     */
+    function createHumanJoin(baseDefaults){
+        //
+        //=== Define the Main Function =========================================
+        //
+
+        /**
+         * A function for converting lists into human-friendly joined stings, e.g.
+         * `['A', 'B', 'C']` into `'A, B & C'`.
+         *
+         * By default this function uses `', '` as the separator, `' & '` as the
+         * conjunction (the special separator used between the last two items in the
+         * list), and does not wrap the items in the list in any kind of quotation.
+         *
+         * The default behaviour can be altered by editing the keys in
+         * [humanJoin.optionDefaults]{@link module:humanJoin.optionDefaults}, and the
+         * default option defaults can be restored by calling the function
+         * [humanJoin.resetOptionDefaults()]{@link module:humanJoin.resetOptionDefaults}.
+         *
+         * @alias humanJoin
+         * @param {Arguments|string[]|Iterable|Map} list - a list of strings to join,
+         * would normally be an array, but can be any iterable object, e.g. a `Set`, a
+         * typed array or a generator, or any array-like object, e.g. an `Arguments`
+         * object or a DOM `NodeList`. The entries of a `Map` are joined as key-value
+         * pairs formatted with `options.pairFormat`. Anything else is simply converted
+         * to a string.
+         * @param {string|Object} [options] - an associative array of options, or, the
+         * name of a preset defined in
+         * [humanJoin.presets]{@link module:humanJoin.presets} as a string, e.g.
+         * `'oxford'`.
+         * @param {string|string[]} [options.preset] - the name of a preset, or an
+         * array of preset names, whose options are applied before the other options
+         * specified. Later presets take precedence over earlier ones, and explicitly
+         * specified options take precedence over all presets. This includes the
+         * conjunction, so a conjunction or shortcut replaces any shortcuts set by
+         * earlier presets, e.g. `{preset: 'oxford', or: true}` is joined with ` or `.
+         * @param {boolean} [options.strict=false] - a truthy value to check the
+         * options with [humanJoin.validateOptions()]{@link module:humanJoin.validateOptions}
+         * before joining, so mistakes throw a `TypeError` or `RangeError` rather
+         * than being silently ignored, and conflicting options are reported with
+         * `console.warn()`. Usually set via
+         * [humanJoin.optionDefaults]{@link module:humanJoin.optionDefaults}.
+         * @param {string} [options.separator=', '] - the separator to use between
+         * elements in the list.
+         * @param {string} [options.conjunction=' & '] - the special separator to use
+         * between the last two elements in the list.
+         * @param {string} [options.pairConjunction] - the conjunction to use instead
+         * of `options.conjunction` when the list contains exactly two elements. The
+         * Oxford shortcuts set this to the conjunction without the serial comma, so a
+         * pair is joined as `'A and B'` rather than `'A, and B'`.
+         * @param {boolean|string} [options.escalate=false] - `true` or a stronger
+         * separator to switch to when any item contains the regular separator
+         * (ignoring whitespace around punctuation, and as a whole word for word
+         * separators like `' or '`), e.g. `'Paris, France'` when the separator is
+         * `', '`. `true` escalates to `'; '`. Conjunctions that start with the
+         * regular separator are adjusted to match, so in Oxford mode `', and '`
+         * becomes `'; and '`.
+         * @param {boolean} [options.noConjunction=false] - a truthy value to suppress
+         * use of the conjunction between the last two elements in the list, the regular
+         * separator will be used instead.
+         * @param {string} [options.emptyText=''] - the string to return when the list
+         * is empty, including when all its items are skipped by `options.empty`.
+         * @param {string} [options.empty='keep'] - what to do with empty items, i.e.
+         * `null`, `undefined`, holes in sparse arrays and empty strings, after
+         * `options.property` is applied. Use `'keep'` to convert them to strings as
+         * usual, `'skip'` to leave them out, `'placeholder'` to replace them with
+         * `options.emptyPlaceholder`, or `'throw'` to throw a `TypeError`. The
+         * policy is applied before anything else is done with the list, so
+         * skipped items don't count towards `options.maxItems`, or when choosing
+         * between `options.pairConjunction` and `options.singleTemplate`.
+         * @param {string} [options.emptyPlaceholder='(none)'] - the text to show in
+         * place of empty items when `options.empty` is `'placeholder'`.
+         * @param {boolean} [options.trimBlank=false] - a truthy value to treat
+         * strings containing only whitespace as empty.
+         * @param {string} [options.singleTemplate] - a template for lists containing
+         * exactly one element, in which `{item}` is replaced with the (quoted) element,
+         * e.g. `'only {item}'`. By default a single element is returned on its own.
+         * @param {boolean|string} [options.quoteWith=false] - an optional string to
+         * quote each element of the list with before joining, `true` to quote with the
+         * typographic quotes from the active locale pack (or English quotes if no
+         * locale is active), or `false` to indicate no quoting should occour.
+         * @param {boolean} [options.mirrorQuote=true] - whether or not to mirror the
+         * string used to quote each element of the list before joining. Multi-character
+         * strings will have their character order reversed to the right of the item
+         * being quoted, and characters that have an obvious mirror will
+         * be replaced with their mirrored version, e.g. `(<` becomes `>)`. Strings
+         * with a known closing token are closed with that instead, e.g. `<em>`
+         * becomes `</em>`, see
+         * [humanJoin.closingQuote()]{@link module:humanJoin.closingQuote}. This setting
+         * has no effect if `options.mirrorQuote` is `false`;
+         * @param {string[]} [options.quotePair] - an explicit two-element array of
+         * the strings to place before and after each element of the list, e.g.
+         * `['<<', '>>']`. Takes precedence over `options.quoteWith` and
+         * `options.mirrorQuote`.
+         * @param {string|function} [options.escapeQuotes] - how to escape quote
+         * characters inside quoted items, so they can't be mistaken for the end of
+         * the quote. Both the opening and closing quote are escaped, so mirrored
+         * quotes like `>>` for `<<` are handled. One of `'backslash'` to prefix
+         * them (and any backslashes) with a backslash, `'double'` to double them
+         * as in CSV and SQL, or `'alternate'` to switch them to the secondary
+         * quote style, e.g. `"` becomes `'` and `“` becomes `‘`, falling back to
+         * `'backslash'` for quotes with no secondary style. Alternatively, a
+         * callback which is passed the item and the opening and closing quotes,
+         * and returns the escaped item. Items are not changed when not quoted.
+         * @param {string} [options.locale] - the code of a locale pack registered in
+         * [humanJoin.locales]{@link module:humanJoin.locales}, e.g. `'fr'` or
+         * `'es'`. The pack's separator and conjunction replace the option defaults,
+         * but not values explicitly passed as options, and the word-based shortcuts
+         * below use the pack's words rather than the English ones.
+         * @param {string|function} [options.pairFormat='{key}: {value}'] - the
+         * format for the entries when joining a `Map`, either a string in which
+         * `{key}` and `{value}` are replaced with the entry's key and value, or a
+         * callback which is passed the key and value, and returns a string.
+         * @param {string} [options.output='text'] - the kind of output to generate,
+         * one of `'text'`, `'html'` or `'markdown'`. In HTML mode the items, the
+         * separators, the conjunction, the quotes, and any other text are escaped for
+         * safe inclusion in an HTML document. In Markdown mode, Markdown's
+         * meta-characters are backslash-escaped.
+         * @param {string|string[]} [options.wrapWith] - markup to wrap each item with
+         * inside any quotes, only used in HTML and Markdown mode. In HTML mode, a tag
+         * or element name, e.g. `'<strong>'`, `'code'` or `'<span class="fruit">'`,
+         * from which the matching closing tag is generated. In Markdown mode, a string
+         * to place on both sides of each item, e.g. `'*'`, `'**'` or `` '`' ``. Items
+         * wrapped in backticks are rendered as code spans, so they are not escaped.
+         * In either mode, a two-element array of the opening and closing markup can
+         * be given instead.
+         * @param {string|number} [options.property] - a property name, or a dotted
+         * path to a nested property, e.g. `'user.name'`, to extract from each item in
+         * the list before it is formatted, quoted and joined. Missing properties
+         * result in `undefined`.
+         * @param {function} [options.format] - a callback to convert each item in the
+         * list to a string before it is quoted and joined. The callback is passed the
+         * item (after `options.property` is applied), its index, and the list as an
+         * array, and should return a string.
+         * @param {boolean} [options.unique=false] - a truthy value to remove
+         * duplicate items from the list, keeping only the first occurrence. Items are
+         * compared by their formatted string, or by the value returned by
+         * `options.key` if specified. When the list is also sorted, duplicates are
+         * removed after sorting.
+         * @param {boolean|string|function} [options.sort=false] - how to sort the
+         * items before joining. Can be `true` to sort by UTF-16 code unit values,
+         * `'natural'` to sort number-aware, e.g. `'item2'` before `'item10'`,
+         * `'locale'` to sort with an `Intl.Collator` for the active locale, or a
+         * comparator callback which is passed two keys and returns a number like
+         * the callbacks for `Array.prototype.sort()`. Items that compare as equal
+         * are ordered by their formatted string, so the output doesn't depend on
+         * the order of the input.
+         * @param {function} [options.key] - a callback to generate the keys the
+         * list is sorted and de-duplicated by. The callback is passed the item
+         * (after `options.property` is applied), its index, and the list as an
+         * array. By default, the keys are the formatted strings.
+         * @param {boolean} [options.ranges=false] - a truthy value to collapse runs
+         * of consecutive integers into ranges, e.g. `[1, 2, 3, 5]` into
+         * `'1–3 & 5'`. Items are treated as integers if their formatted string is a
+         * whole number, so both numbers and numeric strings work. Each range is
+         * then treated as a single item when quoting and joining. Runs are only
+         * detected in the order the items appear in, so unsorted lists should be
+         * combined with `options.sort`.
+         * @param {string} [options.rangeDash='–'] - the string to place between the
+         * first and last number of a range, an en dash by default.
+         * @param {number} [options.minRangeLength=3] - the minimum number of
+         * consecutive integers that will be collapsed into a range, shorter runs
+         * are left as separate items.
+         * @param {number} [options.maxItems] - the maximum number of items to show.
+         * Longer lists are truncated, and a summary of the hidden items, e.g.
+         * `'5 others'`, takes the place of the last item. Values other than positive
+         * integers are ignored.
+         * @param {string|Object|function} [options.overflowText] - the summary used
+         * in place of hidden items when a list is truncated by `options.maxItems`.
+         * Can be a string, an associative array of strings indexed by plural category
+         * (`zero`, `one`, `two`, `few`, `many` & `other`, chosen with `Intl.PluralRules`
+         * where available), or a callback which is passed the number of hidden items
+         * and returns a string. In strings, `{count}` is replaced with the number of
+         * hidden items. Defaults to the active locale's `overflow` text, which for
+         * English is `{one: '{count} other', other: '{count} others'}`.
+         * @param {number} [options.maxLength] - the maximum length of the joined
+         * string. As many trailing items as needed are dropped to make the string
+         * fit, including its quotes, separators and the summary of the hidden
+         * items, which is generated as for `options.maxItems`. At least one item is
+         * always shown, so the string can still be too long if the first item is,
+         * unless `options.truncateItems` is set. The length is measured on the
+         * generated string, including any markup. Values other than positive
+         * integers are ignored.
+         * @param {string} [options.lengthUnit='graphemes'] - how `options.maxLength`
+         * is measured, either `'graphemes'` to count grapheme clusters, i.e.
+         * user-perceived characters, or `'width'` to count columns when displayed
+         * in a terminal, where CJK characters and emoji take two columns.
+         * @param {boolean} [options.truncateItems=false] - a truthy value to shorten
+         * the first item with an ellipsis when even it alone doesn't fit within
+         * `options.maxLength`. The summary of the other items is left out if
+         * there isn't room for it, so the joined string always fits.
+         * @param {string} [options.ellipsis='…'] - the string appended to items
+         * shortened because of `options.truncateItems`, after any trailing
+         * whitespace is removed.
+         * @param {boolean} [options.and=undefined] - any truthy value acts as a
+         * shortcut for `options.conjunction=' and '`, or the active locale's
+         * conjunction.
+         * @param {boolean} [options.or=undefined] - any truthy value acts as a shortcut
+         * for `options.conjunction=' or '`, or the active locale's disjunction.
+         * @param {boolean} [options.oxford=undefined] - any truthy value acts as a
+         * shortcut for `options.conjunction=', and '`, or the active locale's
+         * equivalent.
+         * @param {boolean} [options.oxfordAnd=undefined] - any truthy value acts as a
+         * shortcut for `options.conjunction=', and '`, or the active locale's
+         * equivalent.
+         * @param {boolean} [options.oxfordOr=undefined] - any truthy value acts as a
+         * shortcut for `options.conjunction=', or '`, or the active locale's
+         * equivalent.
+         * @returns {string} a string is always returned, though it may be empty or the
+         * result of converting a non-string object to a string.
+         * @see module:humanJoin.optionDefaults
+         * @see module:humanJoin.resetOptionDefaults
+         * @see module:humanJoin.locales
+         * @see module:humanJoin.presets
+         * @see module:humanJoin.toParts
+         * @example
+         * var list = ['apples', 'oranges', 'pears'];
+         *
+         * var human = humanJoin(list); // apples, oranges & pears
+         *
+         * var h2a = humanJoin(list, {and: true}); // apples, oranges and pears
+         * var h2b = humanJoin(list, 'and'); // apples, oranges and pears
+         *
+         * var h3 = humanJoin(list, 'or'); // apples, oranges or pears
+         *
+         * var h4 = humanJoin(list, 'oxford'); // apples, oranges, and pears
+         *
+         * var h5 = humanJoin(list, 'oxfordOr'); // apples, oranges, or pears
+         *
+         * var quoted1 = humanJoin(list, {quoteWith: '"'});
+         * // "apples", "oranges" & "pears"
+         *
+         * var quoted2 = humanJoin(list, {quoteWith: '<<'});
+         * // <<apples>>, <<oranges>> & <<pears>>
+         *
+         * var quoted3 = humanJoin(list, {quoteWith: '<em>'});
+         * // <em>apples</em>, <em>oranges</em> & <em>pears</em>
+         *
+         * var quoted4 = humanJoin(list, {quotePair: ['[[', ']]>']});
+         * // [[apples]]>, [[oranges]]> & [[pears]]>
+         *
+         * var humanComplex1 = humanJoin(
+         *     list,
+         *     {
+         *         separator: ' or ',
+         *         conjunction: ' or even '
+         *     }
+         * );
+         * // apples or oranges or even pears
+         *
+         * var humanComplex2 = humanJoin(
+         *     list,
+         *     {
+         *         separator: ' or ',
+         *         conjunction: false
+         *     }
+         * );
+         * // apples or oranges or pears
+         *
+         * var humanComplex3 = humanJoin(
+         *     list,
+         *     {
+         *         quoteWith: "'",
+         *         oxford: true
+         *     }
+         * );
+         * // 'apples', 'oranges', and 'pears'
+         *
+         * var french = humanJoin(list, {locale: 'fr'}); // apples, oranges et pears
+         *
+         * var spanish = humanJoin(['agua', 'iglesia'], {locale: 'es'}); // agua e iglesia
+         *
+         * var german = humanJoin(list, {locale: 'de', or: true, quoteWith: true});
+         * // „apples“, „oranges“ oder „pears“
+         *
+         * var blanks = humanJoin(['a', null, '', 'b'], {empty: 'skip'}); // a & b
+         *
+         * var short1 = humanJoin(list, {maxItems: 2}); // apples, oranges & 1 other
+         *
+         * var short2 = humanJoin(
+         *     ['apples', 'oranges', 'bananas', 'pears', 'kiwis'],
+         *     {
+         *         maxItems: 2,
+         *         overflowText: '{count} more fruits'
+         *     }
+         * );
+         * // apples, oranges & 3 more fruits
+         *
+         * var short3 = humanJoin(list, {maxLength: 20}); // apples & 2 others
+         *
+         * var short4 = humanJoin(
+         *     ['a very long item name'],
+         *     {maxLength: 10, truncateItems: true}
+         * );
+         * // a very lo…
+         *
+         * var fromSet = humanJoin(new Set(['a', 'b', 'b', 'c'])); // a, b & c
+         *
+         * var fromMap = humanJoin(
+         *     new Map([['apples', 3], ['pears', 2]]),
+         *     { pairFormat: '{value} {key}' }
+         * );
+         * // 3 apples & 2 pears
+         *
+         * var people = [
+         *     { user: { name: 'Alice', age: 42 } },
+         *     { user: { name: 'Bob', age: 36 } }
+         * ];
+         * var names = humanJoin(people, {property: 'user.name'}); // Alice & Bob
+         * var described = humanJoin(people, {
+         *     property: 'user',
+         *     format: function(u){ return u.name + ' (' + u.age + ')'; }
+         * });
+         * // Alice (42) & Bob (36)
+         *
+         * var pair = humanJoin(['apples', 'oranges'], 'oxford'); // apples and oranges
+         *
+         * var none = humanJoin([], {emptyText: 'nothing'}); // nothing
+         *
+         * var one = humanJoin(['apples'], {singleTemplate: 'just {item}'}); // just apples
+         *
+         * var html = humanJoin(['R&D', 'QA'], {output: 'html', wrapWith: 'strong'});
+         * // <strong>R&amp;D</strong> &amp; <strong>QA</strong>
+         *
+         * var markdown = humanJoin(['npm', 'yarn'], {output: 'markdown', wrapWith: '`', or: true});
+         * // `npm` or `yarn`
+         *
+         * var tidy = humanJoin(['item10', 'item2', 'item1', 'item2'], {unique: true, sort: 'natural'});
+         * // item1, item2 & item10
+         *
+         * var pages = humanJoin([1, 2, 3, 5, 7, 8, 9], {ranges: true}); // 1–3, 5 & 7–9
+         *
+         * var places = humanJoin(['Paris, France', 'Dublin, Ireland', 'Rome, Italy'], {escalate: true, oxford: true});
+         * // Paris, France; Dublin, Ireland; and Rome, Italy
+         */
+        var humanJoin = function(list, options){
+            return humanJoin.toParts(list, options).map(function(part){
+                return part.value;
+            }).join('');
+        };
+        
+        /**
+         * Generate the parts that make up the human-friendly string for a list,
+         * in the style of `Intl.ListFormat.prototype.formatToParts()`, so the
+         * different kinds of part can be styled differently, e.g. in a React or
+         * terminal UI. Joining the values of the parts gives exactly the string
+         * the main function would return for the same arguments.
+         *
+         * Each part is an object with the following keys:
+         *
+         * * `type` - one of:
+         *   * `'element'` - an item from the list, escaped and wrapped as
+         *     required by the `output` and `wrapWith` options
+         *   * `'quoteOpen'` & `'quoteClose'` - the quotes around an element
+         *   * `'separator'` - a regular separator between items
+         *   * `'conjunction'` - the conjunction between the last two items
+         *   * `'overflow'` - the summary of the items hidden by the `maxItems`
+         *     option
+         *   * `'literal'` - any other text, i.e. the text from the
+         *     `emptyText` or `singleTemplate` options, or a value that's not a
+         *     list converted to a string
+         * * `value` - the string for the part.
+         * * `index` - the position of the item the part belongs to in the
+         *   generated list, separators and conjunctions belong to the item that
+         *   follows them. Literal parts have no index.
+         *
+         * Empty quotes and separators are omitted, but elements are always
+         * included, even when they are empty strings.
+         *
+         * @alias module:humanJoin.toParts
+         * @memberof! module:humanJoin
+         * @static
+         * @param {Arguments|string[]|Iterable|Map} list - the list to join.
+         * @param {string|Object} [options] - the same options accepted by the
+         * main function.
+         * @returns {Array.<{type: string, value: string, index: number}>}
+         * @since version 0.2.0
+         * @example
+         * var parts = humanJoin.toParts(['apples', 'pears'], {quoteWith: '"'});
+         * // [
+         * //     { type: 'quoteOpen', value: '"', index: 0 },
+         * //     { type: 'element', value: 'apples', index: 0 },
+         * //     { type: 'quoteClose', value: '"', index: 0 },
+         * //     { type: 'conjunction', value: ' & ', index: 1 },
+         * //     { type: 'quoteOpen', value: '"', index: 1 },
+         * //     { type: 'element', value: 'pears', index: 1 },
+         * //     { type: 'quoteClose', value: '"', index: 1 }
+         * // ]
+         */
+        humanJoin.toParts = function(list, options){
+            // make sure we have a sane options object, with any presets expanded
+            var rawOptions = options;
+            options = normaliseOptions(options);
+            
+            // in strict mode, reject invalid options and warn about conflicts
+            validateIfStrict(rawOptions, options);
+            
+            // prepare the items, short-circuiting things that are not lists
+            var config = resolveConfig(options);
+            var rawList = prepareItems(list, options, config);
+            if(!Array.isArray(rawList)){
+                return [{type: 'literal', value: String(rawList)}];
+            }
+            return partsForItems(rawList, options, config);
+        };
+
+        //
+        //=== Helper Data Structures ===========================================
+        //
+
+        /**
+         * An associative array that maps characters to their mirror image, used
+         * to generate closing quotes. Keys are single characters, i.e. grapheme
+         * clusters, or the base code point of a cluster, in which case any
+         * combining marks or modifiers are kept when mirroring. The map contains:
+         *
+         * * all the pairs from the Unicode `Bidi_Mirroring_Glyph` property, which
+         *   include the ASCII brackets, e.g. `(` <-> `)` & `<` <-> `>`,
+         *   guillemets, e.g. `«` <-> `»` & `‹` <-> `›`, CJK brackets, e.g.
+         *   `「` <-> `」` & `【` <-> `】`, and mathematical brackets & operators,
+         *   e.g. `⟨` <-> `⟩` & `≤` <-> `≥`
+         * * the directional quotation marks, i.e. `“` <-> `”` and `‘` <-> `’`,
+         *   as well as the low-9 quotes, which close with their high equivalents,
+         *   i.e. `„` -> `“` and `‚` -> `‘`
+         * * directional arrows and pointers, e.g. `→` <-> `←`, `▶` <-> `◀` &
+         *   `👉` <-> `👈`
+         * * `!` -> `¡` and `?` -> `¿`
+         * 
+         * @alias module:humanJoin.mirrorMap
+         * @memberof! module:humanJoin
+         * @static
+         * @const
+         * @type {Object.<string, string>}
+         */
+        humanJoin.mirrorMap = mirrorMapFromPairs(BIDI_MIRROR_PAIRS + EXTRA_MIRROR_PAIRS);
+        humanJoin.mirrorMap['\u201E'] = '\u201C'; // „ -> “
+        humanJoin.mirrorMap['\u201A'] = '\u2018'; // ‚ -> ‘
+        humanJoin.mirrorMap['!'] = '¡';
+        humanJoin.mirrorMap['?'] = '¿';
+
+        /**
+         * An associative array that maps multi-character opening quote tokens to
+         * their closing tokens, used in preference to mirroring when generating
+         * closing quotes. Contains the following mappings by default:
+         *
+         * * `/*` -> `*\/`
+         * * `(*` -> `*)`
+         * * `{{` -> `}}`
+         * * `{%` -> `%}`
+         * * `{#` -> `#}`
+         * * `<%` -> `%>`
+         * * `<?` -> `?>`
+         * * `<!--` -> `-->`
+         * * `<![CDATA[` -> `]]>`
+         *
+         * Simple XML-like opening tags, e.g. `<b>` or `<span class="x">`, don't need
+         * an entry, they're automatically closed with the matching closing tag.
+         *
+         * @alias module:humanJoin.quotePairs
+         * @memberof! module:humanJoin
+         * @static
+         * @type {Object.<string, string>}
+         * @since version 0.2.0
+         * @see module:humanJoin.closingQuote
+         * @example
+         * humanJoin.quotePairs['<<<'] = '>>>!';
+         * var h = humanJoin(['a', 'b'], {quoteWith: '<<<'}); // <<<a>>>! & <<<b>>>!
+         */
+        humanJoin.quotePairs = {
+            '/*': '*/',
+            '(*': '*)',
+            '{{': '}}',
+            '{%': '%}',
+            '{#': '#}',
+            '<%': '%>',
+            '<?': '?>',
+            '<!--': '-->',
+            '<![CDATA[': ']]>'
+        };
+
+        /**
+         * An associative array of locale packs, indexed by lower-case locale code,
+         * which supply the words and punctuation used when joining lists in languages
+         * other than English. Each pack is an associative array with the following
+         * keys, all of which are optional:
+         *
+         * * `separator` - the separator to use between elements in the list.
+         * * `conjunction` - the word for *and*, with surrounding spacing, e.g.
+         *   `' et '`. Used as the default conjunction when the locale is active, and
+         *   by the `and` shortcut.
+         * * `disjunction` - the word for *or*, with surrounding spacing, used by the
+         *   `or` shortcut.
+         * * `oxfordConjunction` & `oxfordDisjunction` - the forms used by the Oxford
+         *   shortcuts. Languages that don't use a serial comma should simply omit
+         *   these, in which case the regular conjunction and disjunction are used.
+         * * `quotes` - a two-element array containing the typographic open and close
+         *   quotes for the language, used when `quoteWith` is `true`.
+         * * `overflow` - the summary of hidden items used when a list is truncated,
+         *   in any of the forms accepted by the main function's `overflowText`
+         *   option.
+         * * `adjustConjunction` - a callback to adapt the conjunction to the item that
+         *   follows it. The callback is passed the conjunction and the un-quoted item
+         *   as strings, and must return the conjunction to use.
+         * * `pluralize` - a callback to generate the plural forms of nouns for
+         *   [humanJoin.counts()]{@link module:humanJoin.counts}. The callback is
+         *   passed the singular noun, the plural category for the count (`zero`,
+         *   `one`, `two`, `few`, `many` or `other`, as chosen by `Intl.PluralRules`
+         *   where available), and the count, and must return the form of the noun
+         *   to use.
+         * * `plurals` - a dictionary of irregular plurals which take precedence over
+         *   `pluralize`, in any of the forms accepted by the `plurals` option of
+         *   [humanJoin.counts()]{@link module:humanJoin.counts}.
+         * * `fullStop` - the punctuation used to end sentences generated by
+         *   [humanJoin.sentence()]{@link module:humanJoin.sentence}.
+         *
+         * Regional packs are resolved on top of their language, so a pack registered
+         * as `en-gb` only needs to specify the keys in which it differs from `en`.
+         * Any keys supplied by neither fall back to the `en` pack.
+         *
+         * Packs can be added or altered with the
+         * [humanJoin.registerLocale()]{@link module:humanJoin.registerLocale}
+         * function.
+         *
+         * @alias module:humanJoin.locales
+         * @memberof! module:humanJoin
+         * @static
+         * @type {Object.<string, Object>}
+         * @since version 0.2.0
+         * @see module:humanJoin.registerLocale
+         * @see module:humanJoin.resolveLocale
+         */
+        humanJoin.locales = {
+            en: {
+                separator: ', ',
+                conjunction: ' and ',
+                disjunction: ' or ',
+                oxfordConjunction: ', and ',
+                oxfordDisjunction: ', or ',
+                quotes: ['\u201C', '\u201D'], // “ ”
+                overflow: { one: '{count} other', other: '{count} others' },
+                fullStop: '.',
+                pluralize: pluralizeEnglish,
+                plurals: {
+                    child: 'children',
+                    person: 'people',
+                    man: 'men',
+                    woman: 'women',
+                    mouse: 'mice',
+                    goose: 'geese',
+                    foot: 'feet',
+                    tooth: 'teeth',
+                    ox: 'oxen',
+                    leaf: 'leaves',
+                    knife: 'knives',
+                    life: 'lives',
+                    wife: 'wives',
+                    half: 'halves',
+                    potato: 'potatoes',
+                    tomato: 'tomatoes',
+                    quiz: 'quizzes',
+                    fez: 'fezzes',
+                    whiz: 'whizzes',
+                    sheep: 'sheep',
+                    fish: 'fish',
+                    deer: 'deer',
+                    series: 'series',
+                    species: 'species'
+                }
+            },
+            fr: {
+                separator: ', ',
+                conjunction: ' et ',
+                disjunction: ' ou ',
+                quotes: ['\u00AB\u00A0', '\u00A0\u00BB'], // « » with non-breaking spaces
+                overflow: { one: '{count} autre', other: '{count} autres' },
+                pluralize: pluralizeFrench,
+                plurals: { oeil: 'yeux', '\u0153il': 'yeux' } // œil
+            },
+            de: {
+                separator: ', ',
+                conjunction: ' und ',
+                disjunction: ' oder ',
+                quotes: ['\u201E', '\u201C'], // „ “
+                overflow: { one: '{count} weiteres', other: '{count} weitere' },
+                pluralize: invariantNoun // German plurals are irregular, so need dictionaries
+            },
+            es: {
+                separator: ', ',
+                conjunction: ' y ',
+                disjunction: ' o ',
+                quotes: ['\u00AB', '\u00BB'], // « »
+                overflow: { one: '{count} m\u00E1s', other: '{count} m\u00E1s' }, // más
+                pluralize: pluralizeSpanish,
+                adjustConjunction: function(conjunction, nextItem){
+                    // y becomes e before an /i/ sound, but not before a diphthong like hie-
+                    if(/^h?[ií](?![aeiouáéíóú])/i.test(nextItem)){
+                        return conjunction.replace(/(^|\s)y(\s|$)/, '$1e$2');
+                    }
+                    // o becomes u before an /o/ sound
+                    if(/^h?[oó]/i.test(nextItem)){
+                        return conjunction.replace(/(^|\s)o(\s|$)/, '$1u$2');
+                    }
+                    return conjunction;
+                }
+            },
+            ga: {
+                separator: ', ',
+                conjunction: ' agus ',
+                disjunction: ' n\u00F3 ', // nó
+                quotes: ['\u201C', '\u201D'], // “ ”
+                overflow: '{count} eile',
+                pluralize: invariantNoun // nouns take the singular after numbers
+            },
+            ja: {
+                separator: '\u3001', // 、
+                conjunction: '\u3068', // と
+                disjunction: '\u304B', // か
+                quotes: ['\u300C', '\u300D'], // 「 」
+                overflow: '\u4ED6{count}\u4EF6', // 他…件
+                fullStop: '\u3002', // 。
+                pluralize: invariantNoun
+            }
+        };
+
+        /**
+         * An associative array of named presets, each of which is an associative array
+         * of options for the main function. Presets can be used by passing their name
+         * as the main function's `options` parameter, or via the `preset` option, and
+         * can themselves build on other presets via their own `preset` option.
+         *
+         * The following presets are built in, each of which simply enables the
+         * matching boolean short-cut option:
+         *
+         * * `and`
+         * * `or`
+         * * `oxford`
+         * * `oxfordAnd`
+         * * `oxfordOr`
+         * * `noConjunction`
+         *
+         * Presets should be added and removed with the
+         * [humanJoin.definePreset()]{@link module:humanJoin.definePreset} and
+         * [humanJoin.removePreset()]{@link module:humanJoin.removePreset} functions.
+         *
+         * @alias module:humanJoin.presets
+         * @memberof! module:humanJoin
+         * @static
+         * @type {Object.<string, Object>}
+         * @since version 0.2.0
+         * @see module:humanJoin.definePreset
+         * @see module:humanJoin.removePreset
+         */
+        humanJoin.presets = {
+            and: { and: true },
+            or: { or: true },
+            oxford: { oxford: true },
+            oxfordAnd: { oxfordAnd: true },
+            oxfordOr: { oxfordOr: true },
+            noConjunction: { noConjunction: true }
+        };
+
+        /**
+         * An associative array of default values for the main function's options.
+         *
+         * The values in this array can be altered to change the default behaviour, e.g.
+         * to always have items quoted, or to have ` and ` as the default conjugation
+         * instead of ` & `.
+         *
+         * This array can be restored to its default value by calling the
+         * [humanJoin.resetOptionDefaults()]{@link humanJoin.resetOptionDefaults}
+         * function.
+         *
+         * @alias module:humanJoin.optionDefaults
+         * @memberof! module:humanJoin
+         * @static
+         * @type {Object.<string, string|boolean>}
+         * @since version 0.1.1
+         * @see module:humanJoin.resetOptionDefaults
+         */
+        humanJoin.optionDefaults = copyDeep(baseDefaults);
+
+        //
+        //=== Helper Functions =================================================
+        //
+
+        /**
+         * Reset the option defaults to their default values:
+         * 
+         * * `separator` -> `', '`
+         * * `conjunction` -> `' & '`
+         * * `quoteWith` -> `false`
+         * * `mirrorQuote` -> `true`
+         *
+         * For instances created with
+         * [humanJoin.create()]{@link module:humanJoin.create}, the defaults are
+         * instead reset to the values they had when the instance was created.
+         *
+         * @alias module:humanJoin.resetOptionDefaults
+         * @memberof! module:humanJoin
+         * @static
+         * @since version 0.1.1
+         * @see module:humanJoin.optionDefaults
+         * @example
+         * // sample data
+         * var list = ['apples', 'oranges', 'bananas', 'pears'];
+         *
+         * // alter the defaults
+         * humanJoin.optionDefaults.conjunction = ' and ';
+         *
+         * // call the function without specifying any options
+         * var h1 = humanJoin(list); // apples, oranges, bananas and pears
+         *
+         * // reset the defaults
+         * humanJoin.resetOptionDefaults();
+         *
+         * // call the function without specifying any options
+         * var h2 = humanJoin(list); // apples, oranges, bananas & pears
+         */
+        humanJoin.resetOptionDefaults = function(){
+            humanJoin.optionDefaults = copyDeep(baseDefaults);
+        };
+
+        /**
+         * Create an independent instance of the main function, with its own copies of
+         * the [option defaults]{@link module:humanJoin.optionDefaults},
+         * [presets]{@link module:humanJoin.presets},
+         * [locale packs]{@link module:humanJoin.locales},
+         * [mirror map]{@link module:humanJoin.mirrorMap} and
+         * [quote pairs]{@link module:humanJoin.quotePairs}, and its own versions of all
+         * the helper functions, including this one.
+         *
+         * The new instance starts out with copies of this instance's current
+         * settings, with the given option defaults applied on top. From then on,
+         * changes to either instance have no effect on the other, so libraries can
+         * customise their own instance without interfering with anyone else's.
+         *
+         * @alias module:humanJoin.create
+         * @memberof! module:humanJoin
+         * @static
+         * @param {Object} [defaults] - option defaults for the new instance, which
+         * override those inherited from this instance. These also become the values
+         * the new instance's `resetOptionDefaults()` function restores.
+         * @returns {function} a new instance of the main function.
+         * @throws {TypeError} A type error is thrown if the defaults are specified but
+         * are not an object.
+         * @since version 0.2.0
+         * @example
+         * var list = ['apples', 'oranges', 'pears'];
+         *
+         * var legalJoin = humanJoin.create({ conjunction: ', and ', quoteWith: '"' });
+         * var legal = legalJoin(list); // "apples", "oranges", and "pears"
+         *
+         * var legalOrJoin = legalJoin.create({ conjunction: ', or ' });
+         * var legalOr = legalOrJoin(list); // "apples", "oranges", or "pears"
+         *
+         * legalJoin.mirrorMap['/'] = '\\';
+         * var plain = humanJoin(list); // apples, oranges & pears
+         */
+        humanJoin.create = function(defaults){
+            if(typeof defaults === 'undefined'){
+                defaults = {};
+            }
+            if(typeof defaults !== 'object' || defaults === null){
+                throw new TypeError('option defaults must be an object');
+            }
+            
+            // build the new instance's defaults on top of this instance's current ones
+            var childDefaults = copyDeep(humanJoin.optionDefaults);
+            Object.keys(defaults).forEach(function(k){ childDefaults[k] = copyDeep(defaults[k]); });
+            var child = createHumanJoin(childDefaults);
+            
+            // copy the rest of this instance's settings
+            child.mirrorMap = copyObject(humanJoin.mirrorMap);
+            child.quotePairs = copyObject(humanJoin.quotePairs);
+            child.presets = {};
+            Object.keys(humanJoin.presets).forEach(function(k){ child.presets[k] = copyDeep(humanJoin.presets[k]); });
+            child.locales = {};
+            Object.keys(humanJoin.locales).forEach(function(k){ child.locales[k] = copyDeep(humanJoin.locales[k]); });
+            
+            return child;
+        };
+
+        /**
+         * Add a locale pack to [humanJoin.locales]{@link module:humanJoin.locales},
+         * or override some or all of the keys of an existing pack.
+         *
+         * Locale codes are case-insensitive, and underscores are treated as hyphens,
+         * so `'pt_BR'` and `'pt-br'` refer to the same pack.
+         *
+         * @alias module:humanJoin.registerLocale
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} code - the locale code, e.g. `'it'` or `'en-GB'`.
+         * @param {Object} pack - the locale pack, as described in
+         * [humanJoin.locales]{@link module:humanJoin.locales}. Keys are merged over
+         * those of any pack already registered with the same code.
+         * @throws {TypeError} A type error is thrown if the code is not a non-empty
+         * string, or the pack is not an object.
+         * @since version 0.2.0
+         * @see module:humanJoin.locales
+         * @example
+         * humanJoin.registerLocale('it', {
+         *     conjunction: ' e ',
+         *     disjunction: ' o ',
+         *     quotes: ['«', '»']
+         * });
+         * var italian = humanJoin(['mele', 'arance', 'pere'], {locale: 'it'});
+         * // mele, arance e pere
+         *
+         * humanJoin.registerLocale('en', { conjunction: ' & ' }); // override one key
+         */
+        humanJoin.registerLocale = function(code, pack){
+            if(typeof code !== 'string' || code.length === 0){
+                throw new TypeError('locale code must be a non-empty string');
+            }
+            if(typeof pack !== 'object' || pack === null){
+                throw new TypeError('locale pack must be an object');
+            }
+            code = normaliseLocaleCode(code);
+            var merged = {};
+            var existing = humanJoin.locales[code] || {};
+            Object.keys(existing).forEach(function(k){ merged[k] = existing[k]; });
+            Object.keys(pack).forEach(function(k){ merged[k] = pack[k]; });
+            humanJoin.locales[code] = merged;
+        };
+
+        /**
+         * Resolve a locale code to a complete locale pack.
+         *
+         * The packs registered for the language and then for the full code are
+         * merged, e.g. `en` then `en-gb`, and any keys still missing are filled in,
+         * first from the pack's own conjunction & disjunction for the Oxford forms,
+         * and then from the `en` pack.
+         *
+         * @alias module:humanJoin.resolveLocale
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} code - a locale code, e.g. `'fr'` or `'fr-CA'`.
+         * @returns {Object|undefined} A fully populated locale pack, or `undefined` if
+         * no pack is registered for either the code or its language.
+         * @since version 0.2.0
+         * @see module:humanJoin.locales
+         * @example
+         * var pack = humanJoin.resolveLocale('fr-CA');
+         * // pack.conjunction === ' et ' && pack.oxfordConjunction === ' et '
+         */
+        humanJoin.resolveLocale = function(code){
+            // short-circuit non-strings
+            if(typeof code !== 'string' || code.length === 0){
+                return undefined;
+            }
+            
+            // merge the packs for each level of the code, from the language down
+            var subtags = normaliseLocaleCode(code).split('-');
+            var ans;
+            for(var i = 1; i <= subtags.length; i++){
+                var pack = humanJoin.locales[subtags.slice(0, i).join('-')];
+                if(typeof pack === 'object' && pack !== null){
+                    ans = ans || {};
+                    Object.keys(pack).forEach(function(k){ ans[k] = pack[k]; });
+                }
+            }
+            if(!ans){
+                return undefined;
+            }
+            
+            // fill in any blanks
+            var en = humanJoin.locales.en || {};
+            ['separator', 'conjunction', 'disjunction', 'quotes', 'overflow', 'fullStop', 'pluralize'].forEach(function(k){
+                if(typeof ans[k] === 'undefined'){
+                    ans[k] = en[k];
+                }
+            });
+            if(typeof ans.oxfordConjunction === 'undefined'){
+                ans.oxfordConjunction = ans.conjunction;
+            }
+            if(typeof ans.oxfordDisjunction === 'undefined'){
+                ans.oxfordDisjunction = ans.disjunction;
+            }
+            return ans;
+        };
+
+        /**
+         * Define a named preset, replacing any existing preset with the same name.
+         *
+         * @alias module:humanJoin.definePreset
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} name - the name for the preset.
+         * @param {Object} options - the options the preset stands for. To build on
+         * other presets, name them in the `preset` option.
+         * @throws {TypeError} A type error is thrown if the name is not a non-empty
+         * string, or the options are not an object.
+         * @since version 0.2.0
+         * @see module:humanJoin.presets
+         * @see module:humanJoin.removePreset
+         * @example
+         * humanJoin.definePreset('legalList', { oxford: true, quoteWith: '"' });
+         * humanJoin.definePreset('legalOrList', { preset: 'legalList', oxfordOr: true });
+         *
+         * var list = ['apples', 'oranges', 'pears'];
+         * var legal = humanJoin(list, 'legalList');
+         * // "apples", "oranges", and "pears"
+         * var legalOr = humanJoin(list, { preset: 'legalOrList', quoteWith: "'" });
+         * // 'apples', 'oranges', or 'pears'
+         */
+        humanJoin.definePreset = function(name, options){
+            if(typeof name !== 'string' || name.length === 0){
+                throw new TypeError('preset name must be a non-empty string');
+            }
+            if(typeof options !== 'object' || options === null){
+                throw new TypeError('preset options must be an object');
+            }
+            humanJoin.presets[name] = copyDeep(options);
+        };
+
+        /**
+         * Remove a named preset.
+         *
+         * Note that removing one of the built-in presets only removes the ability to
+         * use it by name, the matching boolean short-cut option continues to work.
+         *
+         * @alias module:humanJoin.removePreset
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} name - the name of the preset to remove.
+         * @returns {boolean} `true` if a preset was removed, `false` if there was no
+         * preset with the given name.
+         * @since version 0.2.0
+         * @see module:humanJoin.presets
+         * @see module:humanJoin.definePreset
+         */
+        humanJoin.removePreset = function(name){
+            if(!Object.prototype.hasOwnProperty.call(humanJoin.presets, name)){
+                return false;
+            }
+            delete humanJoin.presets[name];
+            return true;
+        };
+
+        /**
+         * Mirrors a single character if possible.
+         *
+         * If `c` has a mapping defined in
+         * [humanJoin.mirrorMap]{@link module:humanJoin.mirrorMap}, then the mirrored
+         * character is returned, otherwise, the original character is returned.
+         * Characters are grapheme clusters rather than UTF-16 code units, so emoji
+         * and letters with combining accents are treated as single characters. If
+         * there is no mapping for a whole cluster, the cluster's base character is
+         * mirrored instead, keeping any combining marks or modifiers.
+         *
+         * Note that mirroring a value that is not a string or a number will result in
+         * an empty string being returned, and that strings containing more than one
+         * character will be truncated to their first character before being
+         * mirrored.
+         *
+         * @alias module:humanJoin.mirrorCharacter
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} c - the character to be mirrored
+         * @returns {string}
+         * @example
+         * var revable = humanJoin.mirrorCharacter('<'); // >
+         * var notrevable = humanJoin.mirrorCharacter('+'); // +
+         * var quote = humanJoin.mirrorCharacter('«'); // »
+         * var emoji = humanJoin.mirrorCharacter('👉🏽'); // 👈🏽
+         */
+        humanJoin.mirrorCharacter = function(c){
+            // short-circuit non-strings
+            if(!(typeof c === 'string' || typeof c === 'number')){
+                return '';
+            }
+            
+            // short-circuit empty strings
+            if(c.length < 1){
+                return '';
+            }
+            
+            // convert numbers to strings
+            c = '' + c;
+            
+            // shorten long strings to single characters, i.e. grapheme clusters
+            c = splitGraphemes(c)[0];
+            
+            // if there is a mirror mapping for the whole character, return that
+            if(typeof humanJoin.mirrorMap[c] === 'string'){
+                return humanJoin.mirrorMap[c];
+            }
+            
+            // otherwise, mirror the base character if possible, keeping any modifiers
+            var base = /^[\uD800-\uDBFF][\uDC00-\uDFFF]/.test(c) ? c.slice(0, 2) : c.slice(0, 1);
+            if(typeof humanJoin.mirrorMap[base] === 'string'){
+                return humanJoin.mirrorMap[base] + c.slice(base.length);
+            }
+            return c;
+        };
+
+        /**
+         * Mirrors a string. First, the character order will be reversed, then, each
+         * character is run through
+         * [humanJoin.mirrorCharacter()]{@link module:humanJoin.mirrorCharacter} to
+         * replace mirrorable characters with their mirrored versions (the mappings for
+         * which are defined in
+         * [humanJoin.mirrorMap]{@link module:humanJoin.mirrorMap}).
+         *
+         * Characters are grapheme clusters, so surrogate pairs, emoji sequences, and
+         * letters with combining accents are kept intact.
+         *
+         * Note that attempts to mirror values that are not strings or numbers will
+         * result in the empty string being returned.
+         *
+         * @alias module:humanJoin.mirrorString
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} str - the string to be mirrored
+         * @returns {string}
+         * @example
+         * var rev1 = humanJoin.mirrorString('<'); // >
+         * var rev2 = humanJoin.mirrorString('<<'); // >>
+         * var rev3 = humanJoin.mirrorString('-<'); // >-
+         * var rev4 = humanJoin.mirrorString('--+'); // +--
+         * var rev5 = humanJoin.mirrorString('«“'); // ”»
+         * var rev6 = humanJoin.mirrorString('🍏👉'); // 👈🍏
+         */
+        humanJoin.mirrorString = function(str){
+            // short-circuit non-strings
+            if(!(typeof str === 'string' || typeof str === 'number')){
+                return '';
+            }
+            
+            // convert numbers to strings
+            str = '' + str;
+            
+            // build up the mirror
+            var ans = '';
+            splitGraphemes(str).reverse().forEach(function(c){
+                ans += humanJoin.mirrorCharacter(c);
+            });
+            
+            //return the mirrored string
+            return ans;
+        };
+        
+        /**
+         * Get the closing quote for an opening quote. In order of preference, the
+         * closing quote is:
+         *
+         * 1. the closing token registered for the opening token in
+         *    [humanJoin.quotePairs]{@link module:humanJoin.quotePairs}
+         * 2. the matching closing tag if the opening token is a simple XML-like
+         *    opening tag, e.g. `</b>` for `<b>`, or `</span>` for
+         *    `<span class="x">`, or the empty string if the tag is self-closing
+         *    or an HTML void element, e.g. `<br/>` or `<hr>`
+         * 3. the opening token mirrored with
+         *    [humanJoin.mirrorString()]{@link module:humanJoin.mirrorString}
+         *
+         * @alias module:humanJoin.closingQuote
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} open - the opening quote.
+         * @returns {string} the closing quote, or the empty string if the opening
+         * quote is not a string or a number.
+         * @since version 0.2.0
+         * @see module:humanJoin.quotePairs
+         * @example
+         * var c1 = humanJoin.closingQuote('<b>'); // </b>
+         * var c2 = humanJoin.closingQuote('<!--'); // -->
+         * var c3 = humanJoin.closingQuote('-<'); // >-
+         */
+        humanJoin.closingQuote = function(open){
+            // short-circuit non-strings
+            if(!(typeof open === 'string' || typeof open === 'number')){
+                return '';
+            }
+            open = '' + open;
+            
+            // try the registered pairs, then XML-like tags, then fall back to mirroring
+            if(Object.prototype.hasOwnProperty.call(humanJoin.quotePairs, open) && typeof humanJoin.quotePairs[open] === 'string'){
+                return humanJoin.quotePairs[open];
+            }
+            var tag = open.match(/^<([A-Za-z][\w:.\-]*)(?:\s[^<>]*)?\/?>$/);
+            if(tag){
+                // self-closing tags and void elements can't be closed
+                if(/\/>$/.test(open) || VOID_ELEMENTS.indexOf(tag[1].toLowerCase()) !== -1){
+                    return '';
+                }
+                return '</' + tag[1] + '>';
+            }
+            return humanJoin.mirrorString(open);
+        };
+        
+        /**
+         * The inverse of the main function, i.e. a function for splitting
+         * human-friendly joined strings back into lists, e.g. `'A, B & C'` into
+         * `['A', 'B', 'C']`.
+         *
+         * The string is split using the separator, conjunction and quotes that
+         * would be used to join a list with the same options, so
+         * `humanJoin.split(humanJoin(list, options), options)` returns the
+         * original list whenever that's unambiguously possible. If the configured
+         * conjunction can't be found, the `and`, `or`, `oxford` & `oxfordOr`
+         * variants of the conjunction for the active locale (or English) are
+         * tried, as is the default conjunction `' & '`. Conjunctions the locale
+         * pack adapts to the item that follows them, e.g. the Spanish `' e '` in
+         * place of `' y '`, are recognised too.
+         *
+         * The separator, conjunction, `quoteWith`, `mirrorQuote`, `quotePair`,
+         * `locale`, `escalate`, and boolean short-cut options are supported, as
+         * are presets. Lists that
+         * were truncated, escaped, or had their items wrapped cannot be
+         * reconstructed, and items that contain the separator or a conjunction
+         * can only be recovered if they are quoted.
+         *
+         * @alias module:humanJoin.split
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string} str - the human-friendly string to split.
+         * @param {string|Object} [options] - the same options accepted by the
+         * main function.
+         * @returns {string[]} the list items, or an empty array if the string is
+         * empty or not a string.
+         * @since version 0.2.0
+         * @example
+         * var list1 = humanJoin.split('apples, oranges & pears');
+         * // ['apples', 'oranges', 'pears']
+         *
+         * var list2 = humanJoin.split('apples, oranges, and pears');
+         * // ['apples', 'oranges', 'pears']
+         *
+         * var list3 = humanJoin.split(
+         *     '<<Paris, France>>, <<Dublin, Ireland>> or <<Rome, Italy>>',
+         *     { quoteWith: '<<' }
+         * );
+         * // ['Paris, France', 'Dublin, Ireland', 'Rome, Italy']
+         */
+        humanJoin.split = function(str, options){
+            // short-circuit non-strings and empty strings
+            if(!(typeof str === 'string' || typeof str === 'number')){
+                return [];
+            }
+            str = '' + str;
+            if(str.length === 0){
+                return [];
+            }
+            
+            // set up configuration
+            var config = resolveConfig(normaliseOptions(options));
+            
+            // when items are quoted, strip the outer quotes and quote the delimiters instead
+            var open = config.quoteOpen;
+            var close = config.quoteClose;
+            if(str.length >= open.length + close.length && str.slice(0, open.length) === open && str.slice(str.length - close.length) === close){
+                str = str.slice(open.length, str.length - close.length);
+            }
+            var quoteDelimiter = function(d){ return close + d + open; };
+            
+            // if the separators could have been escalated, check whether they were
+            if(config.escalateTo !== false && str.indexOf(quoteDelimiter(config.escalateTo)) !== -1){
+                config = escalateConfig(config);
+            }
+            
+            // find the conjunction, preferring the configured ones, and allowing for
+            // locales that adapt the conjunction to the item that follows it
+            var adjust = config.pack && typeof config.pack.adjustConjunction === 'function' ? config.pack.adjustConjunction : false;
+            var find = function(conjunctions){
+                if(adjust){
+                    return findLastAdjustedDelimiter(str, conjunctions, quoteDelimiter, adjust);
+                }
+                return findLastDelimiter(str, conjunctions.map(quoteDelimiter));
+            };
+            var found = false;
+            if(config.conjunction !== false){
+                found = find([config.conjunction, config.pairConjunction]);
+                if(!found){
+                    var w = config.words;
+                    var variants = [w.conjunction, w.disjunction, w.oxfordConjunction, w.oxfordDisjunction, ' & '];
+                    if(config.escalated){
+                        variants = variants.map(function(v){ return escalateDelimiter(v, config.escalatedFrom, config.separator); });
+                    }
+                    found = find(variants);
+                }
+            }
+            
+            // split the items before the conjunction on the separator
+            var head = found ? str.slice(0, found.index) : str;
+            var separator = quoteDelimiter(config.separator);
+            var ans = separator.length ? head.split(separator) : [head];
+            if(found){
+                ans.push(str.slice(found.index + found.delimiter.length));
+            }
+            
+            // return the list
+            return ans;
+        };
+        
+        /**
+         * Join counts of things into a human-friendly inventory, e.g.
+         * `{apple: 3, orange: 1, pear: 2}` into `'3 apples, 1 orange & 2 pears'`.
+         *
+         * Each noun is paired with its count, with the noun in the plural form
+         * that suits the count in the active locale. The form is looked up in the
+         * `plurals` option, then in the locale pack's dictionary of irregular
+         * plurals, and is otherwise generated by the locale pack's `pluralize`
+         * callback, or the `pluralize` option. See
+         * [humanJoin.locales]{@link module:humanJoin.locales} for details.
+         *
+         * The resulting items are joined by the main function, so all its options,
+         * e.g. for separators, conjunctions, quoting and truncation, are supported
+         * too.
+         *
+         * @alias module:humanJoin.counts
+         * @memberof! module:humanJoin
+         * @static
+         * @param {Map|Object.<string, number>} counts - the counts, indexed by noun
+         * in the singular. Entries with counts that are not numbers are skipped.
+         * @param {string|Object} [options] - the options accepted by the main
+         * function, and also the following:
+         * @param {boolean} [options.showZeros=false] - a truthy value to include
+         * nouns with a count of zero, which are skipped by default.
+         * @param {Object.<string, string|Object>} [options.plurals] - a
+         * dictionary of irregular plurals, indexed by noun in the singular. Each
+         * value is either the plural as a string, or an associative array of
+         * forms indexed by plural category, e.g. `{one: 'child', other: 'children'}`.
+         * @param {function} [options.pluralize] - a callback to use in place of the
+         * locale pack's `pluralize` callback.
+         * @param {boolean|Object|function} [options.numberFormat=false] - how to
+         * format the counts, `true` to format them with an `Intl.NumberFormat`
+         * for the active locale, an associative array of options for
+         * `Intl.NumberFormat`, or a callback which is passed the count and
+         * returns a string. By default counts are simply converted to strings.
+         * @param {string} [options.countTemplate='{count} {noun}'] - the template
+         * for each item, where `{count}` is replaced with the count and `{noun}`
+         * with the noun.
+         * @returns {string}
+         * @since version 0.2.0
+         * @see module:humanJoin.locales
+         * @example
+         * var inventory = humanJoin.counts({apple: 3, orange: 1, pear: 2});
+         * // 3 apples, 1 orange & 2 pears
+         *
+         * var people = humanJoin.counts(
+         *     new Map([['child', 2], ['person', 1], ['box', 0]]),
+         *     {and: true, showZeros: true}
+         * );
+         * // 2 children, 1 person and 0 boxes
+         *
+         * var stock = humanJoin.counts({widget: 1200}, {numberFormat: true});
+         * // 1,200 widgets
+         */
+        humanJoin.counts = function(counts, options){
+            // separate the options for counts from those for the main function
+            options = normaliseOptions(options);
+            var def = humanJoin.optionDefaults; // a local reference to make the code more readable
+            var strict = typeof options.strict !== 'undefined' ? options.strict : def.strict;
+            var joinOptions = extraOptions(options, COUNT_OPTION_SPECS);
+            var config = resolveConfig(options);
+            var showZeros = typeof options.showZeros !== 'undefined' ? options.showZeros : def.showZeros;
+            var plurals = typeof options.plurals !== 'undefined' ? options.plurals : def.plurals;
+            var pluralize = typeof options.pluralize === 'function' ? options.pluralize : def.pluralize;
+            if(typeof pluralize !== 'function'){
+                pluralize = config.words.pluralize;
+            }
+            var template = typeof options.countTemplate === 'string' ? options.countTemplate : def.countTemplate;
+            if(typeof template !== 'string'){
+                template = '{count} {noun}';
+            }
+            var formatCount = countFormatter(typeof options.numberFormat !== 'undefined' ? options.numberFormat : def.numberFormat, config.locale);
+            
+            // collect the entries from the map or object
+            var entries = [];
+            if(typeof Map === 'function' && counts instanceof Map){
+                counts.forEach(function(count, noun){ entries.push([noun, count]); });
+            }else if(typeof counts === 'object' && counts !== null){
+                Object.keys(counts).forEach(function(noun){ entries.push([noun, counts[noun]]); });
+            }
+            
+            // render each entry as an item
+            var items = [];
+            entries.forEach(function(entry){
+                var noun = '' + entry[0];
+                var count = typeof entry[1] === 'number' ? entry[1] : NaN;
+                if(count !== count){
+                    if(strict){
+                        throw new TypeError('the count for ' + describeValue(noun) + ' must be a number, got ' + describeValue(entry[1]));
+                    }
+                    return;
+                }
+                if(count === 0 && !showZeros){
+                    return;
+                }
+                var category = pluralCategory(count, config.locale);
+                var form = pluralFromDictionary(plurals, noun, category);
+                if(typeof form !== 'string'){
+                    form = pluralFromDictionary(config.words.plurals, noun, category);
+                }
+                if(typeof form !== 'string'){
+                    form = typeof pluralize === 'function' ? '' + pluralize(noun, category, count) : noun;
+                }
+                items.push(template.replace(/\{(count|noun)\}/g, function(match, which){
+                    return which === 'count' ? formatCount(count) : form;
+                }));
+            });
+            
+            // join the items
+            return humanJoin(items, joinOptions);
+        };
+        
+        /**
+         * Join the entries of an object into a human-friendly description, e.g.
+         * `{colour: 'red', size: 'large'}` into `'colour: red & size: large'`.
+         *
+         * Keys and values can be quoted separately, with the same quoting rules
+         * as the main function's `quoteWith` option. Nested objects are either
+         * flattened into dotted paths, e.g. `'size.width: 2'`, or rendered as
+         * bracketed sub-lists, e.g. `'size: (width: 2 & height: 3)'`, and arrays
+         * are always rendered as bracketed sub-lists. Sub-lists are joined with
+         * the same separators and conjunctions as the entries themselves.
+         *
+         * The entries are joined by the main function, so all its options are
+         * supported too. Note that its `quoteWith` option quotes entire entries.
+         *
+         * @alias module:humanJoin.entries
+         * @memberof! module:humanJoin
+         * @static
+         * @param {Map|Object} obj - the object to describe. Only its own
+         * enumerable properties are included.
+         * @param {string|Object} [options] - the options accepted by the main
+         * function, and also the following:
+         * @param {string} [options.keyValueDelimiter=': '] - the string to place
+         * between each key and its value.
+         * @param {boolean|string} [options.quoteKeys=false] - an optional string to
+         * quote keys with, or `true` for the active locale's quotes. Quotes are
+         * mirrored as specified by the `mirrorQuote` option.
+         * @param {boolean|string} [options.quoteValues=false] - the same as
+         * `options.quoteKeys`, but for values. Sub-lists are not quoted. Quotes
+         * inside quoted keys and values are escaped as per `options.escapeQuotes`.
+         * @param {function|string[]|RegExp} [options.keyFilter] - the keys to
+         * include, as an array, a regular expression that matches them, or a
+         * callback which is passed the key, the value and the path of keys to it,
+         * and returns a truthy value to include it.
+         * @param {string} [options.nested='flatten'] - how to render nested
+         * objects, `'flatten'` to flatten them into paths, or `'brackets'` to
+         * render them as sub-lists. Empty objects are always rendered as empty
+         * sub-lists, so their keys aren't lost.
+         * @param {string} [options.pathSeparator='.'] - the separator for the keys
+         * in flattened paths.
+         * @param {string|string[]} [options.bracketWith='('] - the opening bracket
+         * for sub-lists, which is mirrored to close it, or an explicit two-element
+         * array of opening and closing brackets.
+         * @returns {string}
+         * @throws {RangeError} A range error is thrown if the object contains a
+         * circular reference.
+         * @since version 0.2.0
+         * @example
+         * var settings = {colour: 'red', size: 'large', weight: '2kg'};
+         * var desc1 = humanJoin.entries(settings);
+         * // colour: red, size: large & weight: 2kg
+         *
+         * var desc2 = humanJoin.entries(settings, {keyValueDelimiter: '=', quoteValues: '"', and: true});
+         * // colour="red", size="large" and weight="2kg"
+         *
+         * var box = {name: 'box', size: {width: 2, height: 3}};
+         * var desc3 = humanJoin.entries(box); // name: box, size.width: 2 & size.height: 3
+         * var desc4 = humanJoin.entries(box, {nested: 'brackets'});
+         * // name: box & size: (width: 2 & height: 3)
+         */
+        humanJoin.entries = function(obj, options){
+            // separate the options for entries from those for the main function
+            options = normaliseOptions(options);
+            var def = humanJoin.optionDefaults; // a local reference to make the code more readable
+            var joinOptions = extraOptions(options, ENTRY_OPTION_SPECS);
+            var option = function(name){
+                return typeof options[name] !== 'undefined' ? options[name] : def[name];
+            };
+            var words = resolveConfig(options).words;
+            var mirrorQuote = option('mirrorQuote') !== false;
+            var delimiter = option('keyValueDelimiter');
+            delimiter = typeof delimiter === 'string' || typeof delimiter === 'number' ? '' + delimiter : ': ';
+            var keyQuotes = quotesFor(option('quoteKeys'), mirrorQuote, words);
+            var valueQuotes = quotesFor(option('quoteValues'), mirrorQuote, words);
+            var escapeQuotes = option('escapeQuotes');
+            var quote = function(str, quotes){
+                return quotes[0] + (escapeQuotes ? escapeQuotesIn('' + str, quotes[0], quotes[1], escapeQuotes) : str) + quotes[1];
+            };
+            var keyFilter = option('keyFilter');
+            var flatten = option('nested') !== 'brackets';
+            var pathSeparator = option('pathSeparator');
+            pathSeparator = typeof pathSeparator === 'string' ? pathSeparator : '.';
+            var bracketWith = option('bracketWith');
+            var brackets = Array.isArray(bracketWith) ? [bracketWith[0] || '', bracketWith[1] || ''] : quotesFor(typeof bracketWith === 'string' ? bracketWith : '(', true, words);
+            
+            // sub-lists are joined as plain text, since the entries get escaped as a whole
+            var subListOptions = {};
+            Object.keys(joinOptions).forEach(function(name){
+                if(['output', 'wrapWith', 'maxLength', 'singleTemplate', 'quoteWith', 'quotePair'].indexOf(name) === -1){
+                    subListOptions[name] = joinOptions[name];
+                }
+            });
+            subListOptions.output = 'text';
+            subListOptions.quoteWith = false;
+            
+            // a local function to test whether a key should be included
+            var includeKey = function(key, value, path){
+                if(typeof keyFilter === 'function'){
+                    return keyFilter(key, value, path);
+                }
+                if(Array.isArray(keyFilter)){
+                    return keyFilter.indexOf(key) !== -1;
+                }
+                if(keyFilter instanceof RegExp){
+                    keyFilter.lastIndex = 0;
+                    return keyFilter.test(key);
+                }
+                return true;
+            };
+            
+            // a local function to render a value, recursing into sub-lists
+            var render = function(value, path, stack){
+                if(stack.indexOf(value) !== -1){
+                    throw new RangeError('circular reference at ' + path.join(pathSeparator));
+                }
+                if(Array.isArray(value)){
+                    var items = value.map(function(item, n){
+                        return render(item, path.concat(n), stack.concat([value]));
+                    });
+                    return brackets[0] + humanJoin(items, subListOptions) + brackets[1];
+                }
+                if(isPlainObject(value)){
+                    return brackets[0] + humanJoin(collect(value, path, stack.concat([value])), subListOptions) + brackets[1];
+                }
+                return quote(value, valueQuotes);
+            };
+            
+            // a local function to collect the entries of an object as strings
+            var collect = function(source, path, stack){
+                var ans = [];
+                entriesOf(source).forEach(function(entry){
+                    var key = '' + entry[0];
+                    var value = entry[1];
+                    var keyPath = path.concat(key);
+                    if(!includeKey(key, value, keyPath)){
+                        return;
+                    }
+                    if(flatten && isPlainObject(value) && entriesOf(value).length > 0){ // empty objects are shown as leaves
+                        if(stack.indexOf(value) !== -1){
+                            throw new RangeError('circular reference at ' + keyPath.join(pathSeparator));
+                        }
+                        collect(value, keyPath, stack.concat([value])).forEach(function(item){
+                            ans.push(item);
+                        });
+                        return;
+                    }
+                    var label = flatten ? keyPath.join(pathSeparator) : key;
+                    ans.push(quote(label, keyQuotes) + delimiter + render(value, keyPath, stack));
+                });
+                return ans;
+            };
+            
+            // join the entries
+            var items = isPlainObject(obj) ? collect(obj, [], [obj]) : [];
+            return humanJoin(items, joinOptions);
+        };
+        
+        /**
+         * Join a list into a sentence whose grammar suits the number of items,
+         * e.g. `'The file a.txt is missing'` but
+         * `'The files a.txt, b.txt & c.txt are missing'`.
+         *
+         * A template is chosen by the plural category of the number of items in
+         * the active locale (`zero`, `one`, `two`, `few`, `many` or `other`, as
+         * chosen by `Intl.PluralRules` where available), falling back to the
+         * `other` template. The `zero` template is always used for empty lists
+         * when there is one, even in locales where zero is not a plural category
+         * of its own. In templates, `{list}` is replaced with the joined list,
+         * and `{count}` with the number of items, not counting any removed by the
+         * `empty` or `unique` options.
+         *
+         * The list is joined by the main function, so all its options are
+         * supported too. The templates are escaped as specified by its `output`
+         * option.
+         *
+         * @alias module:humanJoin.sentence
+         * @memberof! module:humanJoin
+         * @static
+         * @param {Arguments|string[]|Iterable|Map} list - the list to join.
+         * @param {Object.<string, string>|string} templates - the templates,
+         * indexed by plural category, or a single template for all counts.
+         * @param {string|Object} [options] - the options accepted by the main
+         * function, and also the following:
+         * @param {boolean} [options.capitalize=false] - a truthy value to
+         * capitalise the first letter of the sentence.
+         * @param {boolean|string} [options.punctuate=false] - `true` to end the
+         * sentence with the active locale's full stop, or a string to end it with,
+         * unless it already ends with terminal punctuation.
+         * @param {boolean|Object|function} [options.numberFormat=false] - how to
+         * format the count, as for
+         * [humanJoin.counts()]{@link module:humanJoin.counts}.
+         * @returns {string}
+         * @since version 0.2.0
+         * @example
+         * var templates = {
+         *     zero: 'no files are missing',
+         *     one: 'the file {list} is missing',
+         *     other: 'the {count} files {list} are missing'
+         * };
+         * var msg1 = humanJoin.sentence(['a.txt'], templates, {capitalize: true, punctuate: true});
+         * // The file a.txt is missing.
+         *
+         * var msg2 = humanJoin.sentence(['a.txt', 'b.txt'], templates, {capitalize: true, punctuate: '!'});
+         * // The 2 files a.txt & b.txt are missing!
+         *
+         * var msg3 = humanJoin.sentence([], templates, {capitalize: true, punctuate: true});
+         * // No files are missing.
+         */
+        humanJoin.sentence = function(list, templates, options){
+            // separate the options for sentences from those for the main function
+            options = normaliseOptions(options);
+            var def = humanJoin.optionDefaults; // a local reference to make the code more readable
+            var joinOptions = extraOptions(options, SENTENCE_OPTION_SPECS);
+            var config = resolveConfig(options);
+            var output = typeof options.output === 'string' ? options.output : def.output;
+            var escape = escaperFor(output);
+            
+            // prepare the items once, for both the count and the list
+            validateIfStrict(joinOptions, joinOptions);
+            var items = prepareItems(list, joinOptions, config);
+            
+            // choose the template
+            var count = Array.isArray(items) ? items.length : 1;
+            var template = templates;
+            if(typeof templates === 'object' && templates !== null){
+                var category = count === 0 && typeof templates.zero === 'string' ? 'zero' : pluralCategory(count, config.locale);
+                template = typeof templates[category] === 'string' ? templates[category] : templates.other;
+            }
+            if(typeof template !== 'string'){
+                template = '{list}';
+            }
+            
+            // fill in the template
+            var formatCount = countFormatter(typeof options.numberFormat !== 'undefined' ? options.numberFormat : def.numberFormat, config.locale);
+            var ans = template.split(/(\{list\}|\{count\})/).map(function(piece){
+                if(piece === '{list}'){
+                    if(!Array.isArray(items)){
+                        return String(items);
+                    }
+                    return partsForItems(items, joinOptions, config).map(function(part){
+                        return part.value;
+                    }).join('');
+                }
+                return escape(piece === '{count}' ? formatCount(count) : piece);
+            }).join('');
+            
+            // capitalise and punctuate the sentence as needed
+            if(typeof options.capitalize !== 'undefined' ? options.capitalize : def.capitalize){
+                ans = capitalizeFirstLetter(ans, config.locale);
+            }
+            var punctuate = typeof options.punctuate !== 'undefined' ? options.punctuate : def.punctuate;
+            if(punctuate){
+                var fullStop = typeof punctuate === 'string' ? punctuate : config.words.fullStop;
+                var text = ans.replace(/<[^>]*>/g, '').replace(/[\s"'\u2019\u201D\u00BB\u300D)\]]+$/, ''); // ignore markup, closing quotes & brackets
+                if(!/[.!?\u2026\u3002\uFF01\uFF1F]$/.test(text)){ // . ! ? … 。 ！ ？
+                    ans += escape(fullStop);
+                }
+            }
+            return ans;
+        };
+        
+        /**
+         * Check that an options object, or a preset or shortcut name, is valid for
+         * the main function, as is done automatically in strict mode. Any presets
+         * named are checked too, and the options they expand to are checked along
+         * with the rest.
+         *
+         * An error is thrown for the first problem found, and the message names
+         * the option and the value it got:
+         *
+         * * a `TypeError` for unknown option names, or values of the wrong type
+         * * a `RangeError` for values of the right type that are out of range,
+         *   e.g. `output: 'pdf'` or `maxItems: 0`, and for unknown presets & locales
+         *
+         * Conflicting options don't cause an error, since one of them simply takes
+         * precedence, e.g. `{and: true, or: true}` is joined with ` or `. Instead a
+         * list of warnings describing them is returned.
+         *
+         * @alias module:humanJoin.validateOptions
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string|Object} [options] - options as accepted by the main
+         * function.
+         * @returns {string[]} a warning for each conflict found, or an empty
+         * array.
+         * @throws {TypeError} A type error is thrown if an option name is unknown
+         * or a value has the wrong type.
+         * @throws {RangeError} A range error is thrown if a value is out of range.
+         * @since version 0.2.0
+         * @see module:humanJoin.optionDefaults
+         * @example
+         * humanJoin.validateOptions({oxford: true, quoteWith: '"'}); // []
+         *
+         * humanJoin.validateOptions({and: true, or: true});
+         * // ["conflicting shortcuts 'and' & 'or', only 'or' is applied"]
+         *
+         * humanJoin.validateOptions({oxfrod: true});
+         * // throws TypeError: unknown option 'oxfrod' (did you mean 'oxford'?)
+         *
+         * humanJoin.validateOptions({separator: {}});
+         * // throws TypeError: option 'separator' must be a string or a number, got {}
+         */
+        humanJoin.validateOptions = function(options){
+            // deal with the values that don't need checking option by option
+            if(typeof options === 'undefined' || options === null){
+                return [];
+            }
+            if(typeof options === 'string'){
+                if(!Object.prototype.hasOwnProperty.call(humanJoin.presets, options) && !(OPTION_SPECS[options] && OPTION_SPECS[options].types[0] === 'boolean')){
+                    throw new TypeError('unknown option or preset ' + describeValue(options) + suggestionFor(options, Object.keys(OPTION_SPECS).concat(Object.keys(humanJoin.presets))));
+                }
+            }else if(typeof options !== 'object' || Array.isArray(options)){
+                throw new TypeError('options must be a string or an object, got ' + describeValue(options));
+            }
+            
+            // check the options as given, the named presets, and the expanded options
+            var expanded = normaliseOptions(options);
+            [options, expanded].forEach(function(opts){
+                if(typeof opts !== 'object'){
+                    return;
+                }
+                Object.keys(opts).forEach(function(name){
+                    checkOption(name, opts[name]);
+                });
+            });
+            if(typeof options === 'object'){
+                [].concat(typeof options.preset === 'undefined' ? [] : options.preset).forEach(function(name){
+                    if(!Object.prototype.hasOwnProperty.call(humanJoin.presets, name)){
+                        throw new RangeError('option \'preset\' names an unknown preset, got ' + describeValue(name));
+                    }
+                });
+            }
+            if(typeof expanded.locale === 'string' && !humanJoin.resolveLocale(expanded.locale)){
+                throw new RangeError('option \'locale\' names an unknown locale, got ' + describeValue(expanded.locale));
+            }
+            
+            // look for conflicts
+            var warnings = [];
+            var shortcuts = CONJUNCTION_SHORTCUTS.filter(function(name){
+                return expanded[name] && !(name === 'oxfordAnd' && expanded.oxford); // oxford & oxfordAnd are synonyms
+            });
+            var applied = shortcuts[shortcuts.length - 1];
+            if(shortcuts.length > 1){
+                warnings.push('conflicting shortcuts ' + shortcuts.map(describeValue).join(', ').replace(/, ([^,]*)$/, ' & $1') + ', only ' + describeValue(applied) + ' is applied');
+            }
+            if(applied && typeof expanded.conjunction !== 'undefined'){
+                warnings.push('option \'conjunction\' is overridden by ' + describeValue(applied));
+            }
+            if(typeof expanded.quotePair !== 'undefined' && typeof expanded.quoteWith !== 'undefined'){
+                warnings.push('option \'quoteWith\' is overridden by \'quotePair\'');
+            }
+            return warnings;
+        };
+        
+        /**
+         * Create a tag function for template literals which joins any lists
+         * interpolated into the template using the given options. Placeholders
+         * containing arrays or other iterables, e.g. `Set`s, are joined, and all
+         * other values are inserted as they are, using the usual string
+         * conversion. Strings are never treated as lists.
+         *
+         * To use different options for one placeholder, wrap its list with
+         * [humanJoin.opts()]{@link module:humanJoin.opts}. Its options are
+         * applied on top of those passed to this function.
+         *
+         * @alias module:humanJoin.tagWith
+         * @memberof! module:humanJoin
+         * @static
+         * @param {string|Object} [options] - the options to join lists with, as
+         * accepted by the main function.
+         * @returns {function} a template literal tag function.
+         * @since version 0.2.0
+         * @see module:humanJoin.tag
+         * @see module:humanJoin.opts
+         * @example
+         * var list = ['apples', 'oranges', 'pears'];
+         * var oxford = humanJoin.tagWith('oxford');
+         * var msg = oxford`We stock ${list}.`;
+         * // We stock apples, oranges, and pears.
+         */
+        humanJoin.tagWith = function(options){
+            return function(strings){
+                var ans = strings[0];
+                for(var i = 1; i < strings.length; i++){
+                    var value = arguments[i];
+                    if(value instanceof ListWithOptions){
+                        var merged = copyObject(normaliseOptions(options));
+                        var extra = normaliseOptions(value.options);
+                        Object.keys(extra).forEach(function(k){ merged[k] = extra[k]; });
+                        ans += humanJoin(value.list, merged);
+                    }else if(isIterable(value)){
+                        ans += humanJoin(value, options);
+                    }else{
+                        ans += value;
+                    }
+                    ans += strings[i];
+                }
+                return ans;
+            };
+        };
+        
+        /**
+         * A tag function for template literals which joins any lists interpolated
+         * into the template using the default options, i.e. the tag returned by
+         * [humanJoin.tagWith()]{@link module:humanJoin.tagWith} when called without
+         * options.
+         *
+         * @alias module:humanJoin.tag
+         * @memberof! module:humanJoin
+         * @static
+         * @type {function}
+         * @since version 0.2.0
+         * @see module:humanJoin.tagWith
+         * @see module:humanJoin.opts
+         * @example
+         * var list = ['apples', 'oranges', 'pears'];
+         * var n = 3;
+         * var msg = humanJoin.tag`We stock ${n} fruits: ${list}.`;
+         * // We stock 3 fruits: apples, oranges & pears.
+         *
+         * var msg2 = humanJoin.tag`Do you want ${humanJoin.opts(list, 'oxfordOr')}?`;
+         * // Do you want apples, oranges, or pears?
+         */
+        humanJoin.tag = humanJoin.tagWith();
+        
+        /**
+         * Wrap a list with the options to use when joining it in a template
+         * literal tagged with [humanJoin.tag]{@link module:humanJoin.tag} or a tag
+         * created with [humanJoin.tagWith()]{@link module:humanJoin.tagWith}.
+         *
+         * @alias module:humanJoin.opts
+         * @memberof! module:humanJoin
+         * @static
+         * @param {Arguments|string[]|Iterable|Map} list - the list to join.
+         * @param {string|Object} [options] - the options for this placeholder, as
+         * accepted by the main function, which are applied on top of the tag's
+         * options.
+         * @returns {Object} an opaque object for use as a placeholder value.
+         * @since version 0.2.0
+         * @see module:humanJoin.tag
+         * @example
+         * var list = ['apples', 'oranges', 'pears'];
+         * var msg = humanJoin.tag`Pick ${humanJoin.opts(list, {or: true, quoteWith: '"'})}.`;
+         * // Pick "apples", "oranges" or "pears".
+         */
+        humanJoin.opts = function(list, options){
+            return new ListWithOptions(list, options);
+        };
+        
+        //
+        //=== Private Helper Functions =========================================
+        //
+        
+        /**
+         * Convert the options passed to the main function or one of its helpers
+         * to an options object, with any presets expanded.
+         *
+         * @private
+         * @param {string|Object} [options] - an options object, or the name of a
+         * preset.
+         * @returns {Object}
+         */
+        function normaliseOptions(options){
+            if(typeof options === 'string'){
+                var newOptions = {};
+                if(Object.prototype.hasOwnProperty.call(humanJoin.presets, options)){
+                    newOptions.preset = options;
+                }else{
+                    newOptions[options] = true;
+                }
+                options = newOptions;
+            }
+            if(typeof options !== 'object' || options === null){
+                options = {};
+            }
+            return expandPresets(options, humanJoin.presets, []);
+        }
+        
+        /**
+         * Separate the options of a helper function that builds on the main
+         * function, like [humanJoin.counts()]{@link module:humanJoin.counts},
+         * from those to pass on to the main function. In strict mode, the
+         * helper's own options are checked here, and the rest are left to the
+         * main function.
+         *
+         * @private
+         * @param {Object} options - a normalised options object.
+         * @param {Object.<string, Object>} specs - the specifications of the
+         * helper's own options, in the same form as `OPTION_SPECS`.
+         * @returns {Object} the options for the main function.
+         * @throws {TypeError|RangeError} in strict mode, if any of the helper's
+         * own options are invalid.
+         */
+        function extraOptions(options, specs){
+            var strict = typeof options.strict !== 'undefined' ? options.strict : humanJoin.optionDefaults.strict;
+            var ans = {};
+            Object.keys(options).forEach(function(name){
+                if(Object.prototype.hasOwnProperty.call(specs, name)){
+                    if(strict){
+                        checkOption(name, options[name], specs);
+                    }
+                }else{
+                    ans[name] = options[name];
+                }
+            });
+            return ans;
+        }
+        
+        /**
+         * In strict mode, check the options passed to the main function, throwing
+         * an error if they are invalid, and warning about any conflicts on the
+         * console.
+         *
+         * @private
+         * @param {string|Object} rawOptions - the options as passed.
+         * @param {Object} options - the normalised options.
+         * @throws {TypeError|RangeError} See
+         * [humanJoin.validateOptions()]{@link module:humanJoin.validateOptions}.
+         */
+        function validateIfStrict(rawOptions, options){
+            if(!(typeof options.strict !== 'undefined' ? options.strict : humanJoin.optionDefaults.strict)){
+                return;
+            }
+            humanJoin.validateOptions(rawOptions).forEach(function(warning){
+                if(typeof console === 'object' && typeof console.warn === 'function'){
+                    console.warn('humanJoin: ' + warning);
+                }
+            });
+        }
+        
+        /**
+         * Generate the parts of the human-friendly string for a list of items that
+         * have already been prepared by `prepareItems()`.
+         *
+         * @private
+         * @param {string[]} rawList - the prepared items.
+         * @param {Object} options - a normalised options object.
+         * @param {Object} config - the resolved configuration.
+         * @returns {Array.<{type: string, value: string, index: number}>}
+         */
+        function partsForItems(rawList, options, config){
+            var def = humanJoin.optionDefaults; // a local reference to make the code more readable
+            var output = typeof options.output === 'string' ? options.output : def.output;
+            var escape = escaperFor(output);
+            
+            // short-circuit empty lists
+            if(rawList.length === 0){
+                var emptyText = typeof options.emptyText !== 'undefined' ? options.emptyText : def.emptyText;
+                return withoutEmptyParts([{
+                    type: 'literal',
+                    value: typeof emptyText === 'string' || typeof emptyText === 'number' ? escape('' + emptyText) : ''
+                }]);
+            }
+            
+            // collapse runs of consecutive integers if needed
+            if(typeof options.ranges !== 'undefined' ? options.ranges : def.ranges){
+                var rangeDash = typeof options.rangeDash !== 'undefined' ? options.rangeDash : def.rangeDash;
+                var minRangeLength = typeof options.minRangeLength !== 'undefined' ? options.minRangeLength : def.minRangeLength;
+                rawList = collapseRanges(
+                    rawList,
+                    typeof rangeDash === 'string' || typeof rangeDash === 'number' ? '' + rangeDash : '\u2013',
+                    typeof minRangeLength === 'number' && minRangeLength >= 2 ? minRangeLength : 3
+                );
+            }
+            
+            // truncate the list if needed
+            var maxItems = typeof options.maxItems !== 'undefined' ? options.maxItems : def.maxItems;
+            var total = rawList.length;
+            if(typeof maxItems === 'number' && maxItems % 1 === 0 && maxItems > 0 && rawList.length > maxItems){
+                rawList = rawList.slice(0, maxItems);
+            }
+            
+            // get the remaining options needed to assemble the parts
+            var overflowOption = typeof options.overflowText !== 'undefined' ? options.overflowText : def.overflowText;
+            var wrapWith = typeof options.wrapWith !== 'undefined' ? options.wrapWith : def.wrapWith;
+            var singleTemplate = typeof options.singleTemplate === 'string' ? options.singleTemplate : def.singleTemplate;
+            var adjustConjunction = config.pack && typeof config.pack.adjustConjunction === 'function' ? config.pack.adjustConjunction : false;
+            var quoteOpen = escape(config.quoteOpen);
+            var quoteClose = escape(config.quoteClose);
+            var escapeQuotes = typeof options.escapeQuotes !== 'undefined' ? options.escapeQuotes : def.escapeQuotes;
+            
+            // a local function to assemble the parts for the given items, with a
+            // summary of any items from the full list that were left out, unless
+            // the summary is explicitly suppressed
+            var assemble = function(items, summarise){
+                // escape, wrap, and quote the items as needed, as a group of parts per item
+                var itemParts = [];
+                for(var n = 0; n < items.length; n++){
+                    itemParts[n] = [
+                        {type: 'quoteOpen', value: quoteOpen, index: n},
+                        {type: 'element', value: wrapItem(escapeQuotes ? escapeQuotesIn(items[n], config.quoteOpen, config.quoteClose, escapeQuotes) : items[n], wrapWith, output, escape), index: n},
+                        {type: 'quoteClose', value: quoteClose, index: n}
+                    ];
+                }
+                
+                // add the summary of any hidden items as the last item
+                if(items.length < total && summarise !== false){
+                    var overflow = overflowText(overflowOption, total - items.length, config.words, config.locale);
+                    itemParts.push([{type: 'overflow', value: escape(overflow), index: items.length}]);
+                    items = items.concat([overflow]);
+                }
+                
+                // apply the template for single items if needed
+                var parts = [];
+                if(itemParts.length === 1 && typeof singleTemplate === 'string'){
+                    singleTemplate.split('{item}').forEach(function(literal, m){
+                        if(m > 0){
+                            parts.push.apply(parts, itemParts[0]);
+                        }
+                        parts.push({type: 'literal', value: escape(literal)});
+                    });
+                    return withoutEmptyParts(parts);
+                }
+                
+                // switch to stronger separators if any item contains the separator
+                var itemConfig = config;
+                if(config.escalateTo !== false){
+                    var ambiguous = items.some(separatorFinder(config.separator));
+                    if(ambiguous){
+                        itemConfig = escalateConfig(config);
+                    }
+                }
+                var separator = escape(itemConfig.separator);
+                
+                // generate the parts of the human-friendly string
+                var lastConjunction = itemParts.length === 2 ? itemConfig.pairConjunction : itemConfig.conjunction;
+                parts = itemParts[0];
+                for(var j = 1; j < itemParts.length; j++){
+                    if(j === itemParts.length - 1 && lastConjunction !== false){
+                        // give the locale a chance to adapt the conjunction to the next word
+                        parts.push({
+                            type: 'conjunction',
+                            value: escape(adjustConjunction ? adjustConjunction(lastConjunction, items[j]) : lastConjunction),
+                            index: j
+                        });
+                    }else{
+                        parts.push({type: 'separator', value: separator, index: j});
+                    }
+                    parts.push.apply(parts, itemParts[j]);
+                }
+                
+                // return the generated parts, without any empty quotes or separators
+                return withoutEmptyParts(parts);
+            };
+            
+            // if there's no length limit, we're done
+            var maxLength = typeof options.maxLength !== 'undefined' ? options.maxLength : def.maxLength;
+            if(!(typeof maxLength === 'number' && maxLength % 1 === 0 && maxLength > 0)){
+                return assemble(rawList);
+            }
+            
+            // otherwise, show as many items as fit
+            var lengthUnit = typeof options.lengthUnit !== 'undefined' ? options.lengthUnit : def.lengthUnit;
+            var measure = lengthUnit === 'width' ? displayWidth : function(str){ return splitGraphemes(str).length; };
+            var fits = function(parts){
+                return measure(parts.map(function(part){ return part.value; }).join('')) <= maxLength;
+            };
+            
+            // the items shown must fit on their own, which caps the search
+            var most = 0;
+            for(var used = 0; most < rawList.length; most++){
+                used += measure(rawList[most]);
+                if(used > maxLength){
+                    break;
+                }
+            }
+            var fitted;
+            if(most === rawList.length){
+                fitted = assemble(rawList);
+                if(fits(fitted)){
+                    return fitted;
+                }
+                most--;
+            }
+            
+            // with a summary of the hidden items, the string only grows as more
+            // items are shown, so binary search for the most that fit
+            var low = 1;
+            var high = most;
+            var best = null;
+            while(low <= high){
+                var shown = Math.floor((low + high) / 2);
+                fitted = assemble(rawList.slice(0, shown));
+                if(fits(fitted)){
+                    best = fitted;
+                    low = shown + 1;
+                }else{
+                    high = shown - 1;
+                }
+            }
+            if(best){
+                return best;
+            }
+            fitted = assemble(rawList.slice(0, 1));
+            
+            // if even a single item is too long, truncate it if allowed
+            if(!(typeof options.truncateItems !== 'undefined' ? options.truncateItems : def.truncateItems)){
+                return fitted;
+            }
+            var ellipsis = typeof options.ellipsis === 'string' ? options.ellipsis : def.ellipsis;
+            if(typeof ellipsis !== 'string'){
+                ellipsis = '\u2026'; // …
+            }
+            var graphemes = splitGraphemes(rawList[0]);
+            var shorten = function(cut, summarise){
+                return assemble([graphemes.slice(0, cut).join('').replace(/\s+$/, '') + ellipsis], summarise);
+            };
+            
+            // binary search for the longest shortened item that fits, with the
+            // summary of the other items if possible, and otherwise on its own
+            var attempts = rawList.length > 1 ? [true, false] : [true];
+            for(var a = 0; a < attempts.length; a++){
+                if(!fits(shorten(0, attempts[a]))){
+                    continue;
+                }
+                low = 0;
+                high = graphemes.length - 1;
+                while(low < high){
+                    var cut = Math.ceil((low + high) / 2);
+                    if(fits(shorten(cut, attempts[a]))){
+                        low = cut;
+                    }else{
+                        high = cut - 1;
+                    }
+                }
+                return shorten(low, attempts[a]);
+            }
+            
+            // as a last resort, show as much of the ellipsis as fits on its own
+            var dots = splitGraphemes(ellipsis);
+            while(dots.length > 0 && measure(escape(dots.join(''))) > maxLength){
+                dots.pop();
+            }
+            return [{type: 'element', value: escape(dots.join('')), index: 0}];
+        }
+        
+        /**
+         * Convert a list to an array of strings ready for joining, i.e. with the
+         * needed property extracted from each item, the `empty` policy applied,
+         * and each item formatted, stringified, then sorted and de-duplicated as
+         * needed.
+         *
+         * @private
+         * @param {*} list - the list as passed to the main function.
+         * @param {Object} options - a normalised options object.
+         * @param {Object} config - the resolved configuration.
+         * @returns {string[]|*} the prepared items, or the original value if it
+         * is not a list.
+         * @throws {TypeError} A type error is thrown if an item is empty and the
+         * `empty` option is `'throw'`.
+         */
+        function prepareItems(list, options, config){
+            var def = humanJoin.optionDefaults; // a local reference to make the code more readable
+            
+            // convert the list to an array, short-circuiting things that are not lists
+            list = listToArray(list, typeof options.pairFormat !== 'undefined' ? options.pairFormat : def.pairFormat);
+            if(!Array.isArray(list)){
+                return list;
+            }
+            
+            // get the policy for empty items ready
+            var empty = typeof options.empty !== 'undefined' ? options.empty : def.empty;
+            var trimBlank = typeof options.trimBlank !== 'undefined' ? options.trimBlank : def.trimBlank;
+            var placeholder = typeof options.emptyPlaceholder !== 'undefined' ? options.emptyPlaceholder : def.emptyPlaceholder;
+            placeholder = typeof placeholder === 'string' || typeof placeholder === 'number' ? '' + placeholder : '(none)';
+            
+            // extract the needed property from each item, then format and stringify it
+            var property = typeof options.property !== 'undefined' ? options.property : def.property;
+            var format = typeof options.format === 'function' ? options.format : def.format;
+            var key = typeof options.key === 'function' ? options.key : def.key;
+            var rawList = [];
+            var keys = [];
+            for(var i = 0; i < list.length; i++){ // for loop rather than forEach to support sparse arrays
+                var item = list[i];
+                if(typeof property === 'string' || typeof property === 'number'){
+                    item = getPath(item, property);
+                }
+                if(trimBlank && typeof item === 'string' && /^\s*$/.test(item)){
+                    item = '';
+                }
+                if(typeof item === 'undefined' || item === null || item === ''){
+                    if(empty === 'skip'){
+                        continue;
+                    }
+                    if(empty === 'throw'){
+                        throw new TypeError('list item ' + i + ' is empty, got ' + describeValue(item));
+                    }
+                    if(empty === 'placeholder'){
+                        rawList.push(placeholder);
+                        keys.push(typeof key === 'function' ? key(item, i, list) : placeholder);
+                        continue;
+                    }
+                }
+                var str = '' + (typeof format === 'function' ? format(item, i, list) : item);
+                rawList.push(str);
+                keys.push(typeof key === 'function' ? key(item, i, list) : str);
+            }
+            
+            // sort and de-duplicate the list if needed
+            var sort = typeof options.sort !== 'undefined' ? options.sort : def.sort;
+            if(sort){
+                var sorted = sortList(rawList, keys, sort, config.locale);
+                rawList = sorted.strings;
+                keys = sorted.keys;
+            }
+            if(typeof options.unique !== 'undefined' ? options.unique : def.unique){
+                var seen = keyTracker();
+                rawList = rawList.filter(function(str, n){
+                    return !seen(keys[n]);
+                });
+            }
+            return rawList;
+        }
+        
+        /**
+         * Work out the locale, separators and quotes to use from a normalised
+         * options object and the option defaults.
+         *
+         * @private
+         * @param {Object} options - a normalised options object.
+         * @returns {{locale: string, pack: Object, words: Object, separator: string, conjunction: (string|boolean), pairConjunction: (string|boolean), quoteOpen: string, quoteClose: string, escalateTo: (string|boolean)}}
+         * The `pack` is the active locale pack, if any, and `words` is the pack
+         * to take shortcut words & quotes from, i.e. the active pack or the `en`
+         * pack. `escalateTo` is the stronger separator to switch to when items
+         * contain the separator, or `false`.
+         */
+        function resolveConfig(options){
+            var def = humanJoin.optionDefaults; // a local reference to make the code more readable
+            var locale = typeof options.locale === 'string' ? options.locale : def.locale;
+            var pack = humanJoin.resolveLocale(locale); // undefined if no locale is active
+            var separator = typeof def.separator === 'string' || typeof def.separator === 'number' ? def.separator : ', ';
+            if(pack){
+                separator = pack.separator;
+            }
+            if(typeof options.separator === 'string' || typeof options.separator === 'number'){
+                separator = options.separator;
+            }
+            separator = '' + separator; // force to string
+            var conjunction = typeof def.conjunction === 'string' || typeof def.conjunction === 'number' || typeof def.conjunction === 'boolean' ? def.conjunction : ' & ';
+            if(pack){
+                conjunction = pack.conjunction;
+            }
+            if(typeof options.conjunction === 'string' || typeof options.conjunction === 'number' || typeof options.conjunction === 'boolean'){
+                conjunction = options.conjunction;
+            }
+            if(typeof conjunction === 'number'){
+                conjunction = '' + conjunction; // force to string
+            }
+            if(options.noConjunction){
+                conjunction = false;
+            }
+            var pairConjunction = typeof def.pairConjunction === 'string' || typeof def.pairConjunction === 'number' ? def.pairConjunction : undefined;
+            if(typeof options.pairConjunction === 'string' || typeof options.pairConjunction === 'number'){
+                pairConjunction = options.pairConjunction;
+            }
+            if(typeof pairConjunction === 'number'){
+                pairConjunction = '' + pairConjunction; // force to string
+            }
+            var quoteWith = typeof def.quoteWith === 'string' || typeof def.quoteWith === 'number' || typeof def.quoteWith === 'boolean' ? def.quoteWith : false;
+            if(typeof options.quoteWith === 'string' || typeof options.quoteWith === 'number' || typeof options.quoteWith === 'boolean'){
+                quoteWith = options.quoteWith;
+            }
+            if(typeof quoteWith === 'number'){
+                quoteWith = '' + quoteWith; // force to string
+            }
+            var mirrorQuote = typeof def.mirrorQuote === 'boolean' ? def.mirrorQuote : true;
+            if(typeof options.mirrorQuote !== 'undefined'){
+                mirrorQuote = options.mirrorQuote ? true : false;
+            }
+            
+            // apply any shortcuts specified, using the locale's words if there is one
+            var words = pack || humanJoin.resolveLocale('en');
+            if(options.and){
+                conjunction = words.conjunction;
+            }
+            if(options.or){
+                conjunction = words.disjunction;
+            }
+            var explicitPair = typeof options.pairConjunction === 'string' || typeof options.pairConjunction === 'number';
+            if(options.oxford || options.oxfordAnd){
+                conjunction = words.oxfordConjunction;
+                if(!explicitPair){
+                    pairConjunction = words.conjunction; // no serial comma with only two items
+                }
+            }
+            if(options.oxfordOr){
+                conjunction = words.oxfordDisjunction;
+                if(!explicitPair){
+                    pairConjunction = words.disjunction;
+                }
+            }
+            
+            // pairs are joined with the regular conjunction unless otherwise specified
+            if(typeof pairConjunction !== 'string' || conjunction === false){
+                pairConjunction = conjunction;
+            }
+            
+            // work out the quotes
+            var quotePair = typeof options.quotePair !== 'undefined' ? options.quotePair : def.quotePair;
+            var quoteOpen = '';
+            var quoteClose = '';
+            if(Array.isArray(quotePair)){
+                quoteOpen = typeof quotePair[0] === 'string' || typeof quotePair[0] === 'number' ? '' + quotePair[0] : '';
+                quoteClose = typeof quotePair[1] === 'string' || typeof quotePair[1] === 'number' ? '' + quotePair[1] : '';
+            }else{
+                var quotes = quotesFor(quoteWith, mirrorQuote, words);
+                quoteOpen = quotes[0];
+                quoteClose = quotes[1];
+            }
+            
+            // work out the stronger separator to escalate to, if any
+            var escalate = typeof options.escalate !== 'undefined' ? options.escalate : def.escalate;
+            var escalateTo = false;
+            if(typeof escalate === 'string' || typeof escalate === 'number'){
+                escalateTo = '' + escalate;
+            }else if(escalate){
+                escalateTo = '; ';
+            }
+            
+            // return the resolved configuration
+            return {
+                locale: locale,
+                pack: pack,
+                words: words,
+                separator: separator,
+                conjunction: conjunction,
+                pairConjunction: pairConjunction,
+                quoteOpen: quoteOpen,
+                quoteClose: quoteClose,
+                escalateTo: escalateTo
+            };
+        }
+        
+        /**
+         * Work out the opening and closing quotes for a value of the `quoteWith`
+         * option, or of another option that works the same way.
+         *
+         * @private
+         * @param {boolean|string} quoteWith - `true` for the locale's quotes, or an
+         * opening quote.
+         * @param {boolean} mirrorQuote - whether to mirror the opening quote to
+         * close it.
+         * @param {Object} words - the locale pack to take quotes from.
+         * @returns {string[]} the opening and closing quotes, which are empty
+         * strings if there's no quoting to do.
+         */
+        function quotesFor(quoteWith, mirrorQuote, words){
+            if(quoteWith === true){
+                return [words.quotes[0], words.quotes[1]];
+            }
+            if(typeof quoteWith === 'number'){
+                quoteWith = '' + quoteWith;
+            }
+            if(typeof quoteWith === 'string' && quoteWith.length > 0){
+                return [quoteWith, mirrorQuote ? humanJoin.closingQuote(quoteWith) : quoteWith];
+            }
+            return ['', ''];
+        }
+        
+        // return the assembled instance
+        return humanJoin;
     }
-    if(typeof options !== 'object'){
-        options = {};
+
+    //
+    //=== Create the Default Instance ==========================================
+    //
+
+    var humanJoin = createHumanJoin({
+        separator: ', ',
+        conjunction: ' & ',
+        quoteWith: false,
+        mirrorQuote: true
+    });
+
+    //
+    //=== Private Helper Functions =============================================
+    //
+
+    /**
+     * A list paired with the options to join it with, as returned by
+     * [humanJoin.opts()]{@link module:humanJoin.opts}.
+     *
+     * @private
+     * @constructor
+     * @param {*} list
+     * @param {string|Object} [options]
+     */
+    function ListWithOptions(list, options){
+        this.list = list;
+        this.options = options;
     }
-    
-    // set up configuration
-    var def = humanJoin.optionDefaults; // a local reference to make the code more readable
-    var separator = typeof def.separator === 'string' || typeof def.separator === 'number' ? def.separator : ', ';
-    if(typeof options.separator === 'string' || typeof options.separator === 'number'){
-        separator = options.separator;
+
+    /**
+     * Test whether a value is a list that template tags should join, i.e. an
+     * array or any other iterable object. Strings are not lists.
+     *
+     * @private
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isIterable(value){
+        if(Array.isArray(value)){
+            return true;
+        }
+        return typeof value === 'object' && value !== null && typeof Symbol === 'function' && typeof value[Symbol.iterator] === 'function';
+    }
+
+    /**
+     * Build a mirror map from a string of adjacent pairs of characters that are
+     * each other's mirror image.
+     *
+     * @private
+     * @param {string} pairs - e.g. `'()<>'`.
+     * @returns {Object.<string, string>} a map in both directions, e.g.
+     * `{'(': ')', ')': '(', '<': '>', '>': '<'}`.
+     */
+    function mirrorMapFromPairs(pairs){
+        var ans = {};
+        var chars = splitGraphemes(pairs);
+        for(var i = 0; i + 1 < chars.length; i += 2){
+            ans[chars[i]] = chars[i + 1];
+            ans[chars[i + 1]] = chars[i];
+        }
+        return ans;
+    }
+
+    /**
+     * Split a string into grapheme clusters, i.e. user-perceived characters, using
+     * `Intl.Segmenter` where available, and an approximation otherwise.
+     *
+     * @private
+     * @param {string} str
+     * @returns {string[]}
+     */
+    function splitGraphemes(str){
+        if(typeof Intl === 'object' && typeof Intl.Segmenter === 'function'){
+            if(!splitGraphemes.segmenter){
+                splitGraphemes.segmenter = new Intl.Segmenter(undefined, {granularity: 'grapheme'});
+            }
+            var ans = [];
+            var iterator = splitGraphemes.segmenter.segment(str)[Symbol.iterator]();
+            for(var step = iterator.next(); !step.done; step = iterator.next()){
+                ans.push(step.value.segment);
+            }
+            return ans;
+        }
+        return str.match(GRAPHEME_REGEX) || [];
     }
-    separator = '' + separator; // force to string
-    var conjunction = typeof def.conjunction === 'string' || typeof def.conjunction === 'number' || typeof def.conjunction === 'boolean' ? def.conjunction : ' & ';
-    if(typeof options.conjunction === 'string' || typeof options.conjunction === 'number' || typeof options.conjunction === 'boolean'){
-        conjunction = options.conjunction;
+
+    /**
+     * Measure the width of a string when displayed in a terminal, in columns.
+     * Each grapheme cluster is measured by its first code point, so combining
+     * marks, modifiers, and joined emoji don't add to the width. Wide characters
+     * (see `WIDE_RANGES`) and clusters with an emoji presentation selector are two
+     * columns wide, control characters and zero width spaces & joiners take no
+     * space, and everything else is one column wide.
+     *
+     * @private
+     * @param {string} str
+     * @returns {number}
+     */
+    function displayWidth(str){
+        var ans = 0;
+        splitGraphemes(str).forEach(function(grapheme){
+            var cp = grapheme.charCodeAt(0);
+            if(cp >= 0xD800 && cp <= 0xDBFF && grapheme.length > 1){
+                cp = (cp - 0xD800) * 0x400 + grapheme.charCodeAt(1) - 0xDC00 + 0x10000;
+            }
+            if(cp < 0x20 || (cp >= 0x7F && cp < 0xA0) || (cp >= 0x200B && cp <= 0x200F) || cp === 0xFEFF){
+                return;
+            }
+            if(grapheme.indexOf('\uFE0F') !== -1){
+                ans += 2;
+                return;
+            }
+            for(var i = 0; i < WIDE_RANGES.length && WIDE_RANGES[i][0] <= cp; i++){
+                if(cp <= WIDE_RANGES[i][1]){
+                    ans += 2;
+                    return;
+                }
+            }
+            ans += 1;
+        });
+        return ans;
+    }
+
+    /**
+     * Check a single option against `OPTION_SPECS`, or another set of option
+     * specifications.
+     *
+     * @private
+     * @param {string} name
+     * @param {*} value
+     * @param {Object.<string, Object>} [specs=OPTION_SPECS] - the option
+     * specifications to check against.
+     * @throws {TypeError} if the option is unknown or the value has the wrong type.
+     * @throws {RangeError} if the value is out of range.
+     */
+    function checkOption(name, value, specs){
+        specs = specs || OPTION_SPECS;
+        if(!Object.prototype.hasOwnProperty.call(specs, name)){
+            throw new TypeError('unknown option ' + describeValue(name) + suggestionFor(name, Object.keys(specs)));
+        }
+        if(typeof value === 'undefined'){
+            return;
+        }
+        var spec = specs[name];
+        var type = Array.isArray(value) ? 'array' : typeof value;
+        if(type === 'object' && value === null){
+            type = 'null';
+        }
+        var validArray = type === 'array' && value.every(function(v){
+            return typeof v === 'string' || typeof v === 'number';
+        });
+        if(spec.types.indexOf(type) === -1 || (type === 'array' && !validArray)){
+            var expected = spec.types.map(function(t){
+                return t === 'array' ? 'an array of strings' : (t === 'object' ? 'an' : 'a') + ' ' + t;
+            });
+            throw new TypeError('option ' + describeValue(name) + ' must be ' + expected.join(', ').replace(/, ([^,]*)$/, ' or $1') + ', got ' + describeValue(value));
+        }
+        if(type === 'string' && spec.values && spec.values.indexOf(value) === -1){
+            throw new RangeError('option ' + describeValue(name) + ' must be one of ' + spec.values.map(describeValue).join(', ') + ', got ' + describeValue(value));
+        }
+        if(type === 'number' && typeof spec.min === 'number' && !(value % 1 === 0 && value >= spec.min)){
+            throw new RangeError('option ' + describeValue(name) + ' must be an integer of at least ' + spec.min + ', got ' + describeValue(value));
+        }
+        if(type === 'array' && typeof spec.length === 'number' && value.length !== spec.length){
+            throw new RangeError('option ' + describeValue(name) + ' must have exactly ' + spec.length + ' elements, got ' + describeValue(value));
+        }
     }
-    if(typeof conjunction === 'number'){
-        conjunction = '' + conjunction; // force to string
+
+    /**
+     * Describe a value for use in an error message, e.g. `'oxford'` for a string
+     * or `{}` for an empty object.
+     *
+     * @private
+     * @param {*} value
+     * @returns {string}
+     */
+    function describeValue(value){
+        if(typeof value === 'string'){
+            return "'" + value + "'";
+        }
+        if(typeof value === 'function'){
+            return 'a function';
+        }
+        if(typeof value === 'object' && value !== null){
+            try{
+                return JSON.stringify(value);
+            }catch(err){
+                return Object.prototype.toString.call(value);
+            }
+        }
+        return String(value);
     }
-    if(options.noConjunction){
-        conjunction = false;
+
+    /**
+     * Suggest the closest of a list of names for a misspelled one, as a
+     * suffix for error messages.
+     *
+     * @private
+     * @param {string} name - the misspelled name.
+     * @param {string[]} names - the valid names.
+     * @returns {string} the suggestion, e.g. ` (did you mean 'oxford'?)`, or
+     * an empty string if no name is close enough.
+     */
+    function suggestionFor(name, names){
+        var best;
+        var bestDistance = 3; // only suggest names within two edits
+        names.forEach(function(candidate){
+            var distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+            if(distance < bestDistance){
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best ? ' (did you mean ' + describeValue(best) + '?)' : '';
     }
-    var quoteWith = typeof def.quoteWith === 'string' || typeof def.quoteWith === 'number' || typeof def.quoteWith === 'boolean' ? def.quoteWith : false;
-    if(typeof options.quoteWith === 'string' || typeof options.quoteWith === 'number' || typeof options.quoteWith === 'boolean'){
-        quoteWith = options.quoteWith;
+
+    /**
+     * Calculate the Damerau-Levenshtein edit distance between two strings, i.e.
+     * the number of insertions, deletions, substitutions and transpositions of
+     * adjacent characters needed to turn one into the other.
+     *
+     * @private
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    function editDistance(a, b){
+        var d = [];
+        for(var i = 0; i <= a.length; i++){
+            d[i] = [i];
+        }
+        for(var j = 1; j <= b.length; j++){
+            d[0][j] = j;
+        }
+        for(i = 1; i <= a.length; i++){
+            for(j = 1; j <= b.length; j++){
+                var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if(i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)){
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
     }
-    if(typeof quoteWith === 'number'){
-        quoteWith = '' + quoteWith; // force to string
+
+    /**
+     * Test whether a value is a plain object, i.e. an object created with an
+     * object literal or `Object.create(null)`, or a `Map`, as opposed to an
+     * array, a date, or any other kind of object.
+     *
+     * @private
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isPlainObject(value){
+        if(typeof value !== 'object' || value === null){
+            return false;
+        }
+        if(typeof Map === 'function' && value instanceof Map){
+            return true;
+        }
+        var proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null;
     }
-    var mirrorQuote = typeof def.mirrorQuote === 'boolean' ? def.mirrorQuote : true;
-    if(typeof options.mirrorQuote !== 'undefined'){
-        mirrorQuote = options.mirrorQuote ? true : false;
+    
+    /**
+     * Get the entries of a plain object or `Map` as an array of key-value
+     * pairs.
+     *
+     * @private
+     * @param {Object|Map} obj
+     * @returns {Array.<Array>}
+     */
+    function entriesOf(obj){
+        var ans = [];
+        if(typeof Map === 'function' && obj instanceof Map){
+            obj.forEach(function(value, key){ ans.push([key, value]); });
+        }else{
+            Object.keys(obj).forEach(function(key){ ans.push([key, obj[key]]); });
+        }
+        return ans;
     }
     
-    // apply any shortcuts specified
-    if(options.and){
-        conjunction = ' and ';
+    /**
+     * Make a shallow copy of an object.
+     *
+     * @private
+     * @param {Object} obj
+     * @returns {Object}
+     */
+    function copyObject(obj){
+        var ans = {};
+        Object.keys(obj).forEach(function(k){ ans[k] = obj[k]; });
+        return ans;
+    }
+
+    /**
+     * Get a function to track the keys seen when removing duplicate items. Keys
+     * are compared as with `===`, except that `NaN` is a duplicate of `NaN`.
+     *
+     * @private
+     * @returns {function} a function which takes a key, and returns `true` if
+     * it has been seen before, or `false` otherwise.
+     */
+    function keyTracker(){
+        if(typeof Map === 'function'){
+            var seen = new Map();
+            return function(k){
+                if(seen.has(k)){
+                    return true;
+                }
+                seen.set(k, true);
+                return false;
+            };
+        }
+        
+        // without maps, index primitives by type and value, and list objects
+        var primitives = {};
+        var objects = [];
+        return function(k){
+            if((typeof k === 'object' && k !== null) || typeof k === 'function' || typeof k === 'symbol'){
+                if(objects.indexOf(k) !== -1){
+                    return true;
+                }
+                objects.push(k);
+                return false;
+            }
+            var id = typeof k + ':' + k;
+            if(Object.prototype.hasOwnProperty.call(primitives, id)){
+                return true;
+            }
+            primitives[id] = true;
+            return false;
+        };
+    }
+
+    /**
+     * Make a deep copy of a value, copying arrays and plain objects, e.g. the
+     * dictionaries & quotes in locale packs, at every level. Other values,
+     * including functions, are not copied.
+     *
+     * @private
+     * @param {*} value
+     * @returns {*}
+     */
+    function copyDeep(value){
+        if(Array.isArray(value)){
+            return value.map(copyDeep);
+        }
+        if(isPlainObject(value) && !(typeof Map === 'function' && value instanceof Map)){
+            var ans = {};
+            Object.keys(value).forEach(function(k){ ans[k] = copyDeep(value[k]); });
+            return ans;
+        }
+        return value;
     }
-    if(options.or){
-        conjunction = ' or ';
+
+    /**
+     * Convert any kind of list to an array.
+     *
+     * Arrays are returned as-is, the entries of `Map` objects are formatted as
+     * strings, other iterables are iterated, and array-like objects (objects with
+     * a numeric `length` property) are indexed. Strings, functions and other
+     * objects are not treated as lists, and are returned unaltered.
+     *
+     * @private
+     * @param {*} list
+     * @param {string|function} [pairFormat] - the format for `Map` entries.
+     * @returns {Array|*} an array, or the original value if it is not a list.
+     */
+    function listToArray(list, pairFormat){
+        // short-circuit arrays and things that are not lists
+        if(Array.isArray(list)){
+            return list;
+        }
+        if(typeof list !== 'object' || list === null){
+            return list; // this also excludes strings, which are iterable
+        }
+        
+        var ans = [];
+        var isMap = typeof Map === 'function' && list instanceof Map;
+        if(typeof Symbol === 'function' && typeof list[Symbol.iterator] === 'function'){
+            var iterator = list[Symbol.iterator]();
+            for(var step = iterator.next(); !step.done; step = iterator.next()){
+                ans.push(isMap ? formatPair(step.value[0], step.value[1], pairFormat) : step.value);
+            }
+            return ans;
+        }
+        if(typeof list.length === 'number' && list.length >= 0 && list.length % 1 === 0){
+            for(var i = 0; i < list.length; i++){
+                ans.push(list[i]);
+            }
+            return ans;
+        }
+        return list;
     }
-    if(options.oxford || options.oxfordAnd){
-        conjunction = ', and ';
+
+    /**
+     * Expand the presets named in an options object's `preset` option, if any,
+     * into a new options object. Presets naming other presets are expanded
+     * recursively, and presets that don't exist are ignored. Later presets take
+     * precedence over earlier ones, and options set explicitly over all presets,
+     * see `mergeOptions()`.
+     *
+     * @private
+     * @param {Object} options
+     * @param {Object.<string, Object>} presets - the preset registry.
+     * @param {string[]} chain - the names of the presets currently being expanded,
+     * used to detect circular definitions.
+     * @returns {Object} the expanded options, without a `preset` key, or the
+     * original options object if it doesn't name any presets.
+     * @throws {RangeError} A range error is thrown if presets build on each other
+     * in a circle.
+     */
+    function expandPresets(options, presets, chain){
+        // short-circuit options that don't name any presets
+        var names = options.preset;
+        if(typeof names === 'string'){
+            names = [names];
+        }
+        if(!Array.isArray(names)){
+            return options;
+        }
+        
+        // merge the expanded presets, then the options themselves
+        var ans = {};
+        names.forEach(function(name){
+            if(chain.indexOf(name) !== -1){
+                throw new RangeError('circular preset definition: ' + chain.concat(name).join(' -> '));
+            }
+            if(!Object.prototype.hasOwnProperty.call(presets, name)){
+                return;
+            }
+            var preset = presets[name];
+            if(typeof preset !== 'object' || preset === null){
+                return;
+            }
+            mergeOptions(ans, expandPresets(preset, presets, chain.concat(name)));
+        });
+        mergeOptions(ans, options);
+        return ans;
     }
-    if(options.oxfordOr){
-        conjunction = ', or ';
+
+    /**
+     * Merge options over those from earlier presets. A conjunction or shortcut
+     * replaces any shortcuts merged earlier, which would otherwise override it
+     * because shortcuts are applied in a fixed order.
+     *
+     * @private
+     * @param {Object} ans - the options merged so far, updated in place.
+     * @param {Object} options - the options to merge over them, any `preset`
+     * key is skipped.
+     */
+    function mergeOptions(ans, options){
+        var setsConjunction = typeof options.conjunction !== 'undefined' || CONJUNCTION_SHORTCUTS.some(function(k){
+            return options[k];
+        });
+        if(setsConjunction){
+            CONJUNCTION_SHORTCUTS.forEach(function(k){ delete ans[k]; });
+        }
+        Object.keys(options).forEach(function(k){
+            if(k !== 'preset'){
+                ans[k] = options[k];
+            }
+        });
     }
-    
-    // process the array to quote and stringify as needed
-    var stringList = [];
-    for(var i = 0; i < list.length; i++){ // for loop rather than forEach to support Arguments objects
-        // force to string
-        stringList[i] = '' + list[i];
+
+    /**
+     * Sort a list of strings by their keys. Ties are broken by the strings
+     * themselves, so the result doesn't depend on the original order.
+     *
+     * @private
+     * @param {string[]} strings - the formatted items.
+     * @param {Array} keys - the keys to sort by, in the same order as the strings.
+     * @param {boolean|string|function} sort - the `sort` option, i.e. `true`,
+     * `'natural'`, `'locale'`, or a comparator.
+     * @param {string} [locale] - the active locale, used for `'locale'` sorts.
+     * @returns {{strings: string[], keys: Array}} the sorted strings and keys.
+     */
+    function sortList(strings, keys, sort, locale){
+        // pick the comparator
+        var compare = compareValues;
+        if(typeof sort === 'function'){
+            compare = sort;
+        }else if(sort === 'natural'){
+            compare = compareNatural;
+        }else if(sort === 'locale' && typeof Intl === 'object' && typeof Intl.Collator === 'function'){
+            var collator;
+            try{
+                collator = new Intl.Collator(locale || undefined);
+            }catch(err){
+                collator = new Intl.Collator(); // unsupported locale code, use the default
+            }
+            compare = function(a, b){ return collator.compare('' + a, '' + b); };
+        }
         
-        // quote if needed
-        if(quoteWith){
-            if(mirrorQuote){
-                stringList[i] = quoteWith + stringList[i] + humanJoin.mirrorString(quoteWith);
+        // sort the indexes, then build the sorted lists from them
+        var indexes = strings.map(function(str, i){ return i; });
+        indexes.sort(function(i, j){
+            return compare(keys[i], keys[j]) || compareValues(strings[i], strings[j]) || i - j;
+        });
+        return {
+            strings: indexes.map(function(i){ return strings[i]; }),
+            keys: indexes.map(function(i){ return keys[i]; })
+        };
+    }
+
+    /**
+     * Compare two values with the `<` and `>` operators, i.e. numerically for
+     * numbers and by UTF-16 code unit for strings.
+     *
+     * @private
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    function compareValues(a, b){
+        if(typeof a !== typeof b || typeof a !== 'number'){
+            a = '' + a;
+            b = '' + b;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * Compare two values in natural order, i.e. with runs of digits compared
+     * numerically, so `'item2'` comes before `'item10'`.
+     *
+     * @private
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    function compareNatural(a, b){
+        var aChunks = ('' + a).match(/\d+|\D+/g) || [];
+        var bChunks = ('' + b).match(/\d+|\D+/g) || [];
+        for(var i = 0; i < aChunks.length && i < bChunks.length; i++){
+            var ans;
+            if(/^\d/.test(aChunks[i]) && /^\d/.test(bChunks[i])){
+                ans = parseInt(aChunks[i], 10) - parseInt(bChunks[i], 10);
             }else{
-                stringList[i] = quoteWith + stringList[i] + quoteWith;
+                ans = compareValues(aChunks[i], bChunks[i]);
+            }
+            if(ans !== 0){
+                return ans < 0 ? -1 : 1;
             }
         }
+        return aChunks.length - bChunks.length;
     }
-    
-    // generate the human-friendly string
-    var ans = stringList.shift();
-    while(stringList.length){
-        if(stringList.length === 1 && conjunction !== false){
-            ans += conjunction;
-        }else{
-            ans += separator;
+
+    /**
+     * Collapse runs of consecutive integers in a list of strings into ranges.
+     *
+     * @private
+     * @param {string[]} strings - the formatted items, those that are whole
+     * numbers are treated as integers.
+     * @param {string} dash - the string to place between the ends of a range.
+     * @param {number} minLength - the minimum length of a run to collapse.
+     * @returns {string[]}
+     */
+    function collapseRanges(strings, dash, minLength){
+        var ans = [];
+        var i = 0;
+        while(i < strings.length){
+            // find the end of the run starting at the current item, if any
+            var j = i;
+            if(/^\s*-?\d+\s*$/.test(strings[i])){
+                while(j + 1 < strings.length && /^\s*-?\d+\s*$/.test(strings[j + 1]) && parseInt(strings[j + 1], 10) === parseInt(strings[j], 10) + 1){
+                    j++;
+                }
+            }
+            
+            // collapse the run if it's long enough
+            if(j - i + 1 >= minLength){
+                ans.push(strings[i] + dash + strings[j]);
+            }else{
+                j = i;
+                ans.push(strings[i]);
+            }
+            i = j + 1;
         }
-        ans += stringList.shift();
+        return ans;
     }
-    
-    // return the generated string
-    return ans;
-};
 
-//
-//=== Helper Data Structures ===================================================
-//
+    /**
+     * Switch a resolved configuration to its stronger separator.
+     *
+     * @private
+     * @param {Object} config - a configuration with an `escalateTo` separator.
+     * @returns {Object} a new configuration using the `escalateTo` separator, with
+     * the conjunctions adjusted to match, and `escalated` set to `true` and
+     * `escalatedFrom` set to the original separator.
+     */
+    function escalateConfig(config){
+        var ans = copyObject(config);
+        ans.separator = config.escalateTo;
+        ans.conjunction = escalateDelimiter(config.conjunction, config.separator, config.escalateTo);
+        ans.pairConjunction = escalateDelimiter(config.pairConjunction, config.separator, config.escalateTo);
+        ans.escalateTo = false;
+        ans.escalated = true;
+        ans.escalatedFrom = config.separator;
+        return ans;
+    }
 
-/**
- * An associative array that maps right-hand characters to their left-hand
- * mirror image:
- *
- * * `!` -> `¡`
- * * `?` -> `¿`
- * * `(` -> `)`
- * * `)` -> `(`
- * * `{` -> `}`
- * * `}` -> `{`
- * * `[` -> `]`
- * * `]` -> `[`
- * * `<` -> `>`
- * * `>` -> `<`
- * 
- * @alias module:humanJoin.mirrorMap
- * @const
- * @type {Object.<string, string>}
- */
-humanJoin.mirrorMap = {
-    '!' : '¡',
-    '?' : '¿',
-    '(' : ')',
-    ')' : '(',
-    '{' : '}',
-    '}' : '{',
-    '[' : ']',
-    ']' : '[',
-    '<' : '>',
-    '>' : '<'
-};
+    /**
+     * Adjust a conjunction that starts with a separator to start with a stronger
+     * separator instead, e.g. `', and '` to `'; and '`. Whitespace is ignored, so
+     * only the punctuation is swapped.
+     *
+     * @private
+     * @param {string|boolean} delimiter - the conjunction, `false` is returned
+     * as-is.
+     * @param {string} from - the regular separator.
+     * @param {string} to - the stronger separator.
+     * @returns {string|boolean}
+     */
+    function escalateDelimiter(delimiter, from, to){
+        var fromMark = from.trim();
+        if(typeof delimiter !== 'string' || fromMark.length === 0 || delimiter.indexOf(fromMark) !== 0){
+            return delimiter;
+        }
+        return (to.trim() || to) + delimiter.slice(fromMark.length);
+    }
 
-/**
- * An associative array of default values for the main function's options.
- *
- * The values in this array can be altered to change the default behaviour, e.g.
- * to always have items quoted, or to have ` and ` as the default conjugation
- * instead of ` & `.
- *
- * This array can be restored to its default value by calling the
- * [humanJoin.resetOptionDefaults()]{@link humanJoin.resetOptionDefaults}
- * function.
- *
- * @alias module:humanJoin.optionDefaults
- * @type {Object.<string, string|boolean>}
- * @since version 0.1.1
- * @see module:humanJoin.resetOptionDefaults
- */
-humanJoin.optionDefaults = {};
+    /**
+     * Remove the empty parts from a list of parts, apart from elements, which are
+     * always kept.
+     *
+     * @private
+     * @param {Array.<{type: string, value: string}>} parts
+     * @returns {Array.<{type: string, value: string}>}
+     */
+    function withoutEmptyParts(parts){
+        return parts.filter(function(part){
+            return part.value !== '' || part.type === 'element';
+        });
+    }
 
-//
-//=== Helper Functions =========================================================
-//
+    /**
+     * Find the delimiter that occurs last in a string, from a list of candidate
+     * delimiters. The delimiter whose last occurrence ends last wins, with ties
+     * going to the longest delimiter, so `', and '` beats `' and '`.
+     *
+     * @private
+     * @param {string} str
+     * @param {string[]} delimiters - the candidates, empty strings are ignored.
+     * @returns {{index: number, delimiter: string}|boolean} the position and
+     * value of the delimiter found, or `false` if none of the candidates occur.
+     */
+    function findLastDelimiter(str, delimiters){
+        var ans = false;
+        delimiters.forEach(function(d){
+            if(typeof d !== 'string' || d.length === 0){
+                return;
+            }
+            var index = str.lastIndexOf(d);
+            if(index === -1){
+                return;
+            }
+            var end = index + d.length;
+            var bestEnd = ans ? ans.index + ans.delimiter.length : -1;
+            if(end > bestEnd || (end === bestEnd && d.length > ans.delimiter.length)){
+                ans = {index: index, delimiter: d};
+            }
+        });
+        return ans;
+    }
 
-/**
- * Reset the option defaults to their default values:
- * 
- * * `separator` -> `', '`
- * * `conjunction` -> `' & '`
- * * `quoteWith` -> `false`
- * * `mirrorQuote` -> `true`
- *
- * @alias module:humanJoin.resetOptionDefaults
- * @since version 0.1.1
- * @see module:humanJoin.optionDefaults
- * @example
- * // sample data
- * var list = ['apples', 'oranges', 'bananas', 'pears'];
- *
- * // alter the defaults
- * humanJoin.optionDefaults.conjunction = ' and ';
- *
- * // call the function without specifying any options
- * var h1 = humanJoin(list); // apples, oranges, bananas and pears
- *
- * // reset the defaults
- * humanJoin.resetOptionDefaults();
- *
- * // call the function without specifying any options
- * var h2 = humanJoin(list); // apples, oranges, bananas & pears
- */
-humanJoin.resetOptionDefaults = function(){
-    humanJoin.optionDefaults = {
-        separator: ', ',
-        conjunction: ' & ',
-        quoteWith: false,
-        mirrorQuote: true
-    };
-};
+    /**
+     * Get a function to test whether an item contains a separator, and so would
+     * make a joined string ambiguous. Whitespace around punctuation is ignored,
+     * so `'Paris,France'` contains `', '`, but separators that are words only
+     * match whole words, so `'oranges'` doesn't contain `' or '`.
+     *
+     * @private
+     * @param {string} separator
+     * @returns {function} a function which takes an item and returns a boolean.
+     */
+    function separatorFinder(separator){
+        var token = separator.trim();
+        if(token.length === 0){
+            return function(str){ return separator.length > 0 && str.indexOf(separator) !== -1; };
+        }
+        
+        // scripts without case don't separate words with spaces, so only cased
+        // letters and digits make a separator a word
+        if(token.toLowerCase() === token.toUpperCase() && !/\d/.test(token)){
+            return function(str){ return str.indexOf(token) !== -1; };
+        }
+        var word = new RegExp('(^|\\s)' + escapeRegExp(token) + '(\\s|$)');
+        return function(str){ return word.test(str); };
+    }
 
-/**
- * Mirrors a single character if possible.
- *
- * If `c` has a mapping defined in
- * [humanJoin.mirrorMap]{@link module:humanJoin.mirrorMap}, then the mirrored
- * character is returned, otherwise, the original character is returned.
- *
- * Note that mirroring a value that is not a string or a number will result in
- * an empty string being returned, and that strings containing more than one
- * letter will be truncated to their first letter before being mirrored.
- *
- * @alias module:humanJoin.mirrorCharacter
- * @param {string} c - the character to be mirrored
- * @returns {string}
- * @example
- * var revable = humanJoin.mirrorCharacter('<'); // >
- * var notrevable = humanJoin.mirrorCharacter('+'); // +
- */
-humanJoin.mirrorCharacter = function(c){
-    // short-circuit non-strings
-    if(!(typeof c === 'string' || typeof c === 'number')){
-        return '';
+    /**
+     * Escape a string for use as a literal in a regular expression.
+     *
+     * @private
+     * @param {string} str
+     * @returns {string}
+     */
+    function escapeRegExp(str){
+        return str.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }
+
+    /**
+     * Find the conjunction that occurs last in a string, from a list of candidate
+     * conjunctions, when a locale pack adapts conjunctions to the item that
+     * follows them. Each candidate is tried both as-is and as adapted to the
+     * text that follows it, with the same precedence as `findLastDelimiter()`.
+     *
+     * @private
+     * @param {string} str
+     * @param {string[]} conjunctions - the candidates, empty strings are ignored.
+     * @param {function} wrap - a callback to convert a conjunction into the
+     * delimiter to search for, e.g. by adding quotes.
+     * @param {function} adjust - the locale pack's `adjustConjunction` callback.
+     * @returns {{index: number, delimiter: string}|boolean} the position and
+     * value of the delimiter found, or `false` if none of the candidates occur.
+     */
+    function findLastAdjustedDelimiter(str, conjunctions, wrap, adjust){
+        // work back from the end, so the first match found ends last
+        for(var end = str.length; end > 0; end--){
+            var rest = str.slice(end);
+            var ans = false;
+            conjunctions.forEach(function(c){
+                if(typeof c !== 'string' || c.length === 0){
+                    return;
+                }
+                [wrap(adjust(c, rest)), wrap(c)].forEach(function(d){
+                    if(d.length > 0 && d.length <= end && str.slice(end - d.length, end) === d && !(ans && ans.delimiter.length >= d.length)){
+                        ans = {index: end - d.length, delimiter: d};
+                    }
+                });
+            });
+            if(ans){
+                return ans;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the function for escaping text in a given output mode.
+     *
+     * @private
+     * @param {string} [output] - `'html'`, `'markdown'`, or anything else for
+     * plain text.
+     * @returns {function} a function which takes a string and returns it escaped.
+     */
+    function escaperFor(output){
+        if(output === 'html'){
+            return escapeHTML;
+        }
+        if(output === 'markdown'){
+            return escapeMarkdown;
+        }
+        return function(str){ return str; };
+    }
+
+    /**
+     * Escape a string for safe inclusion in HTML, both as text and within quoted
+     * attribute values.
+     *
+     * @private
+     * @param {string} str
+     * @returns {string}
+     */
+    function escapeHTML(str){
+        return str.replace(/[&<>"']/g, function(c){
+            return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[c];
+        });
+    }
+
+    /**
+     * Backslash-escape the characters that have a special meaning in Markdown,
+     * including ampersands that would start an entity.
+     *
+     * @private
+     * @param {string} str
+     * @returns {string}
+     */
+    function escapeMarkdown(str){
+        return str.replace(/[\\`*_\[\]()<>#+\-!|~]|&(?=#?\w+;)/g, '\\$&');
+    }
+
+    /**
+     * Escape the quote characters inside an item for the `escapeQuotes` option.
+     *
+     * @private
+     * @param {string} item - the item.
+     * @param {string} open - the opening quote, before any output escaping.
+     * @param {string} close - the closing quote, before any output escaping.
+     * @param {string|function} strategy - the `escapeQuotes` option.
+     * @returns {string}
+     */
+    function escapeQuotesIn(item, open, close, strategy){
+        // the quotes without any spacing, e.g. French quotes are spaced
+        var openToken = String(open).replace(/^\s+|\s+$/g, '');
+        var closeToken = String(close).replace(/^\s+|\s+$/g, '');
+        if(openToken === '' && closeToken === ''){
+            return item;
+        }
+        if(typeof strategy === 'function'){
+            return String(strategy(item, open, close));
+        }
+        
+        // build the replacements for each token
+        var replacements = {};
+        if(strategy === 'alternate'){
+            var alternate = ALTERNATE_QUOTES[openToken];
+            if(alternate){
+                replacements[closeToken] = alternate[1];
+                replacements[openToken] = alternate[0];
+            }else{
+                strategy = 'backslash';
+            }
+        }
+        if(strategy === 'backslash'){
+            replacements['\\'] = '\\\\';
+            replacements[openToken] = '\\' + openToken;
+            replacements[closeToken] = '\\' + closeToken;
+        }else if(strategy === 'double'){
+            replacements[openToken] = openToken + openToken;
+            replacements[closeToken] = closeToken + closeToken;
+        }
+        delete replacements[''];
+        
+        // replace all the tokens in one pass, longest first, so replacements
+        // are never themselves replaced
+        var tokens = Object.keys(replacements).sort(function(a, b){ return b.length - a.length; });
+        if(tokens.length === 0){
+            return item;
+        }
+        var pattern = new RegExp(tokens.map(escapeRegExp).join('|'), 'g');
+        return item.replace(pattern, function(token){ return replacements[token]; });
+    }
+
+    /**
+     * Escape an item and wrap it with the markup given by the `wrapWith` option.
+     *
+     * @private
+     * @param {string} item - the un-escaped item.
+     * @param {string|string[]} [wrapWith] - the `wrapWith` option.
+     * @param {string} [output] - the output mode, markup is only added in
+     * `'html'` and `'markdown'` modes.
+     * @param {function} escape - the escaper for the output mode.
+     * @returns {string}
+     */
+    function wrapItem(item, wrapWith, output, escape){
+        // short-circuit when there's no wrapping to do
+        if(!(output === 'html' || output === 'markdown') || !(typeof wrapWith === 'string' || Array.isArray(wrapWith)) || wrapWith.length === 0){
+            return escape(item);
+        }
+        
+        // explicit opening and closing markup
+        if(Array.isArray(wrapWith)){
+            return wrapWith[0] + escape(item) + (typeof wrapWith[1] === 'string' ? wrapWith[1] : '');
+        }
+        
+        // generate HTML closing tags from the opening tag or element name
+        if(output === 'html'){
+            var tag = wrapWith.match(/^<?\s*([A-Za-z][\w:.\-]*)([^>]*?)\/?>?$/);
+            if(!tag){
+                return escape(item);
+            }
+            return '<' + tag[1] + tag[2] + '>' + escape(item) + '</' + tag[1] + '>';
+        }
+        
+        // Markdown code spans are not escaped, but need a long enough fence
+        if(/^`+$/.test(wrapWith)){
+            var longestRun = 0;
+            (item.match(/`+/g) || []).forEach(function(run){
+                longestRun = Math.max(longestRun, run.length);
+            });
+            var fence = wrapWith.length > longestRun ? wrapWith : new Array(longestRun + 2).join('`');
+            var padding = /^`|`$/.test(item) ? ' ' : '';
+            return fence + padding + item + padding + fence;
+        }
+        return wrapWith + escape(item) + wrapWith;
+    }
+
+    /**
+     * Get the value of a property, or of a nested property specified as a dotted
+     * path, from an object.
+     *
+     * @private
+     * @param {*} obj
+     * @param {string|number} path - a property name or dotted path, e.g.
+     * `'user.name'`.
+     * @returns {*} the value, or `undefined` if any part of the path is missing.
+     */
+    function getPath(obj, path){
+        var keys = ('' + path).split('.');
+        for(var i = 0; i < keys.length; i++){
+            if(obj === null || typeof obj === 'undefined'){
+                return undefined;
+            }
+            obj = obj[keys[i]];
+        }
+        return obj;
+    }
+
+    /**
+     * Format a key-value pair as a string.
+     *
+     * @private
+     * @param {*} key
+     * @param {*} value
+     * @param {string|function} [format='{key}: {value}'] - a template string
+     * containing `{key}` and `{value}` placeholders, or a callback which is passed
+     * the key and value and returns a string.
+     * @returns {string}
+     */
+    function formatPair(key, value, format){
+        if(typeof format === 'function'){
+            return '' + format(key, value);
+        }
+        if(typeof format !== 'string'){
+            format = '{key}: {value}';
+        }
+        return format.replace(/\{(key|value)\}/g, function(match, which){
+            return '' + (which === 'key' ? key : value);
+        });
+    }
+
+    /**
+     * Render the summary of the items hidden when a list is truncated.
+     *
+     * @private
+     * @param {string|Object|function} [text] - the `overflowText` option, if any.
+     * @param {number} count - the number of hidden items.
+     * @param {Object} words - the active locale pack, used when `text` is not
+     * specified.
+     * @param {string} [locale] - the active locale code, used to select the
+     * plural category.
+     * @returns {string}
+     */
+    function overflowText(text, count, words, locale){
+        if(typeof text === 'undefined' || text === null){
+            text = words.overflow;
+        }
+        if(typeof text === 'function'){
+            return '' + text(count);
+        }
+        if(typeof text === 'object' && text !== null){
+            var category = pluralCategory(count, locale);
+            text = typeof text[category] !== 'undefined' ? text[category] : text.other;
+        }
+        return ('' + text).replace(/\{count\}/g, count);
+    }
+
+    /**
+     * Choose the plural category for a count, using `Intl.PluralRules` where
+     * available, and otherwise the English rule.
+     *
+     * @private
+     * @param {number} count
+     * @param {string} [locale] - the active locale code, defaults to `'en'`.
+     * @returns {string} `'zero'`, `'one'`, `'two'`, `'few'`, `'many'` or `'other'`.
+     */
+    function pluralCategory(count, locale){
+        if(typeof Intl === 'object' && typeof Intl.PluralRules === 'function'){
+            try{
+                return new Intl.PluralRules(locale || 'en').select(count);
+            }catch(err){
+                // unsupported locale code, fall back to the simple rule
+            }
+        }
+        return count === 1 ? 'one' : 'other';
     }
     
-    // short-circuit empty strings
-    if(c.length < 1){
-        return '';
+    /**
+     * Look up the form of a noun for a plural category in a dictionary of
+     * irregular plurals. Nouns are matched exactly, or failing that, in lower
+     * case, in which case a capitalised noun gets a capitalised plural.
+     *
+     * @private
+     * @param {Object.<string, string|Object>} [dictionary]
+     * @param {string} noun - the noun in the singular.
+     * @param {string} category - the plural category.
+     * @returns {string|undefined} the form of the noun, or `undefined` if the
+     * dictionary has no entry for it.
+     */
+    function pluralFromDictionary(dictionary, noun, category){
+        if(typeof dictionary !== 'object' || dictionary === null){
+            return undefined;
+        }
+        var key = noun;
+        if(!Object.prototype.hasOwnProperty.call(dictionary, key)){
+            key = noun.toLowerCase();
+            if(!Object.prototype.hasOwnProperty.call(dictionary, key)){
+                return undefined;
+            }
+        }
+        var entry = dictionary[key];
+        var ans;
+        if(typeof entry === 'object' && entry !== null){
+            ans = typeof entry[category] === 'string' ? entry[category] : (category === 'one' ? noun : entry.other);
+        }else{
+            ans = category === 'one' ? noun : entry;
+        }
+        if(typeof ans !== 'string'){
+            return undefined;
+        }
+        if(key !== noun && noun.charAt(0) !== noun.charAt(0).toLowerCase()){
+            ans = ans.charAt(0).toUpperCase() + ans.slice(1);
+        }
+        return ans;
     }
     
-    // convert numbers to strings
-    c = '' + c;
+    /**
+     * Add a plural suffix to a noun, in upper case if the noun is all upper
+     * case, except for a plain `s`, e.g. `'BOX'` to `'BOXES'` but `'API'` to
+     * `'APIs'`.
+     *
+     * @private
+     * @param {string} stem - the noun, minus any letters the suffix replaces.
+     * @param {string} noun - the original noun.
+     * @param {string} suffix
+     * @returns {string}
+     */
+    function addSuffix(stem, noun, suffix){
+        return stem + (noun.length > 1 && noun === noun.toUpperCase() && noun !== noun.toLowerCase() && suffix !== 's' ? suffix.toUpperCase() : suffix);
+    }
     
-    // shorten long strings to single characters
-    if(c.length > 1){
-        c = c.substring(0, 1);
+    /**
+     * The English pluralisation rules, used as the `en` locale pack's
+     * `pluralize` callback. Irregular plurals are left to the pack's `plurals`
+     * dictionary.
+     *
+     * @private
+     * @param {string} noun - the noun in the singular.
+     * @param {string} category - the plural category.
+     * @returns {string}
+     */
+    function pluralizeEnglish(noun, category){
+        if(category === 'one' || noun.length === 0){
+            return noun;
+        }
+        if(/(s|x|z|ch|sh)$/i.test(noun)){
+            return addSuffix(noun, noun, 'es');
+        }
+        if(/[^aeiou]y$/i.test(noun)){
+            return addSuffix(noun.slice(0, -1), noun, noun.slice(-1) === 'Y' ? 'IES' : 'ies');
+        }
+        return addSuffix(noun, noun, 's');
     }
     
-    // if there is a mirror mapping, return that, otherwise, return the character itself
-    return typeof humanJoin.mirrorMap[c] === 'string' ? humanJoin.mirrorMap[c] : c;
-}
-
-/**
- * Mirrors a string. First, the character order will be reversed, then, each
- * character is run through
- * [humanJoin.mirrorCharacter()]{@link module:humanJoin.mirrorCharacter} to
- * replace mirrorable characters with their mirrored versions (the mappings for
- * which are defined in
- * [humanJoin.mirrorMap]{@link module:humanJoin.mirrorMap}).
- *
- * Note that attempts to mirror values that are not strings or numbers will
- * result in the empty string being returned.
- *
- * @alias module:humanJoin.mirrorString
- * @param {string} str - the string to be mirrored
- * @returns {string}
- * @example
- * var rev1 = humanJoin.mirrorString('<'); // >
- * var rev2 = humanJoin.mirrorString('<<'); // >>
- * var rev3 = humanJoin.mirrorString('-<'); // >-
- * var rev4 = humanJoin.mirrorString('--+'); // +--
- */
-humanJoin.mirrorString = function(str){
-    // short-circuit non-strings
-    if(!(typeof str === 'string' || typeof str === 'number')){
-        return '';
+    /**
+     * The French pluralisation rules, used as the `fr` locale pack's
+     * `pluralize` callback.
+     *
+     * @private
+     * @param {string} noun - the noun in the singular.
+     * @param {string} category - the plural category.
+     * @returns {string}
+     */
+    function pluralizeFrench(noun, category){
+        if(category === 'one' || noun.length === 0 || /[sxz]$/i.test(noun)){
+            return noun;
+        }
+        if(/(au|eu)$/i.test(noun)){
+            return addSuffix(noun, noun, 'x');
+        }
+        if(/al$/i.test(noun)){
+            return addSuffix(noun.slice(0, -1), noun, 'ux');
+        }
+        return addSuffix(noun, noun, 's');
+    }
+    
+    /**
+     * The Spanish pluralisation rules, used as the `es` locale pack's
+     * `pluralize` callback.
+     *
+     * @private
+     * @param {string} noun - the noun in the singular.
+     * @param {string} category - the plural category.
+     * @returns {string}
+     */
+    function pluralizeSpanish(noun, category){
+        if(category === 'one' || noun.length === 0 || /[sx]$/i.test(noun)){
+            return noun;
+        }
+        if(/z$/i.test(noun)){
+            return addSuffix(noun.slice(0, -1), noun, 'ces');
+        }
+        if(/[aeiou\u00E9\u00F3]$/i.test(noun)){ // including é & ó
+            return addSuffix(noun, noun, 's');
+        }
+        return addSuffix(noun, noun, 'es');
     }
     
-    // convert numbers to strings
-    str = '' + str;
+    /**
+     * A `pluralize` callback for languages where nouns don't change with the
+     * count, or are too irregular for rules, which returns the noun unchanged.
+     *
+     * @private
+     * @param {string} noun
+     * @returns {string}
+     */
+    function invariantNoun(noun){
+        return noun;
+    }
     
-    // build up the mirror
-    var ans = '';
-    str.split('').reverse().forEach(function(c){
-        ans += humanJoin.mirrorCharacter(c);
-    });
+    /**
+     * Capitalise the first letter of a string, skipping any leading quotes,
+     * brackets, HTML tags and character references. Nothing is changed if the
+     * string starts with anything else that isn't a letter, e.g. a digit.
+     *
+     * @private
+     * @param {string} str
+     * @param {string} [locale] - the active locale code, for locale-specific
+     * case mappings.
+     * @returns {string}
+     */
+    function capitalizeFirstLetter(str, locale){
+        var pattern = /<[^>]*>|&#?\w+;|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g;
+        var match;
+        while((match = pattern.exec(str)) !== null){
+            var c = match[0];
+            if((c.length > 1 && (c.charAt(0) === '<' || c.charAt(0) === '&')) || /^[\s"'()[\]{}*_`\-\u2013\u2014\u2018-\u201F\u00AB\u00BB\u00BF\u00A1\u300C-\u300F]$/.test(c)){
+                continue; // markup, quotes, brackets & the like
+            }
+            var upper;
+            try{
+                upper = c.toLocaleUpperCase(locale || undefined);
+            }catch(err){
+                upper = c.toUpperCase(); // unsupported locale code
+            }
+            return str.slice(0, match.index) + upper + str.slice(match.index + c.length);
+        }
+        return str;
+    }
+    
+    /**
+     * Build a function to format counts from the `numberFormat` option of
+     * [humanJoin.counts()]{@link module:humanJoin.counts}.
+     *
+     * @private
+     * @param {boolean|Object|function} [numberFormat] - the option.
+     * @param {string} [locale] - the active locale code.
+     * @returns {function} a function which takes a number and returns a string.
+     */
+    function countFormatter(numberFormat, locale){
+        if(typeof numberFormat === 'function'){
+            return function(count){ return '' + numberFormat(count); };
+        }
+        if(numberFormat && typeof Intl === 'object' && typeof Intl.NumberFormat === 'function'){
+            try{
+                var formatter = new Intl.NumberFormat(locale || 'en', typeof numberFormat === 'object' ? numberFormat : undefined);
+                return function(count){ return formatter.format(count); };
+            }catch(err){
+                // unsupported locale code or options, fall back to plain numbers
+            }
+        }
+        return function(count){ return '' + count; };
+    }
+    
+    /**
+     * Normalise a locale code to the form used as a key in
+     * [humanJoin.locales]{@link module:humanJoin.locales}, i.e. lower case with
+     * hyphens rather than underscores.
+     *
+     * @private
+     * @param {string} code
+     * @returns {string}
+     */
+    function normaliseLocaleCode(code){
+        return code.toLowerCase().replace(/_/g, '-');
+    }
+    
+    //
+    //=== Export the Module ====================================================
+    //
     
-    //return the mirrored string
-    return ans;
-};
-
-//
-//=== Export the Module ========================================================
-//
-
-// If we're in a Node environment, export the function
-if(module){
-    module.exports = humanJoin;
-}
\ No newline at end of file
+    return humanJoin;
+});
@@ -0,0 +1,20 @@
+/**
+ * @file The ES module entry point for the [humanJoin]{@link module:humanJoin}
+ * module. The module is implemented once, in `humanJoin.js`, so ES module and
+ * CommonJS consumers share the same instance, including its option defaults,
+ * presets and locale packs. Since it imports the CommonJS build, this entry
+ * point is for NodeJS and bundlers only, browsers should load `humanJoin.js`
+ * as a plain script or an AMD module instead.
+ * @version 0.1.1
+ * @author Bart Busschots <bart.busschots@mu.ie>
+ * @license MIT
+ * @see https://github.com/bbusschots-mu/humanJoin.js
+ */
+
+import humanJoin from './humanJoin.js';
+
+export default humanJoin;
+export { humanJoin };
+export var mirrorString = humanJoin.mirrorString;
+export var mirrorCharacter = humanJoin.mirrorCharacter;
+export var resetOptionDefaults = humanJoin.resetOptionDefaults;
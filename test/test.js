@@ -5,6 +5,17 @@
 // import the module under test
 var humanJoin = require('../');
 
+// a function to run the command-line interface with the given arguments & STDIN
+var childProcess = require('child_process');
+var path = require('path');
+function runCLI(args, input){
+    return childProcess.spawnSync(
+        process.execPath,
+        [path.join(__dirname, '..', 'bin', 'human-join.js')].concat(args),
+        { input: input || '', encoding: 'utf8' }
+    );
+}
+
 // some dummy data for use in tests
 var DUMMY_DATA = {
     'empty string' : '',
@@ -54,6 +65,135 @@ QUnit.module('humanJoin() function',
             a.equal(humanJoin(this.list), '->apples-> or ->oranges-> or ->bananas-> or even ->pears->');
         });
         
+        QUnit.test('lists other than arrays', function(a){
+            a.expect(6);
+            var argsJoin = function(){ return humanJoin(arguments); };
+            a.equal(argsJoin('a', 'b', 'c'), 'a, b & c', 'Arguments object joined');
+            a.equal(humanJoin(new Set(['a', 'b', 'b', 'c'])), 'a, b & c', 'Set joined');
+            a.equal(humanJoin(new Uint8Array([1, 2, 3])), '1, 2 & 3', 'typed array joined');
+            var gen = function*(){ yield 'a'; yield 'b'; };
+            a.equal(humanJoin(gen()), 'a & b', 'generator joined');
+            a.equal(humanJoin({0: 'a', 1: 'b', length: 2}), 'a & b', 'array-like object joined');
+            a.equal(humanJoin(new Set()), '', 'empty iterable returns empty string');
+        });
+        
+        QUnit.test('values that are not lists', function(a){
+            a.expect(4);
+            a.equal(humanJoin('stuff'), 'stuff', 'strings are not split');
+            a.equal(humanJoin(42), '42', 'numbers converted to string');
+            a.equal(humanJoin({stuff: 'whatsits'}), '[object Object]', 'plain objects converted to string');
+            a.equal(humanJoin(null), 'null', 'null converted to string');
+        });
+        
+        QUnit.test('pairFormat option', function(a){
+            a.expect(3);
+            var map = new Map([['apples', 3], ['pears', 2]]);
+            a.equal(humanJoin(map), 'apples: 3 & pears: 2', 'default format');
+            a.equal(humanJoin(map, {pairFormat: '{value} {key}'}), '3 apples & 2 pears', 'template string');
+            a.equal(
+                humanJoin(map, {pairFormat: function(k, v){ return k + '=' + v; }}),
+                'apples=3 & pears=2',
+                'callback'
+            );
+        });
+        
+        QUnit.test('property option', function(a){
+            a.expect(4);
+            var people = [
+                { name: 'Alice', user: { name: 'alice42' } },
+                { name: 'Bob', user: { name: 'bob36' } }
+            ];
+            a.equal(humanJoin(people, {property: 'name'}), 'Alice & Bob', 'simple property extracted');
+            a.equal(humanJoin(people, {property: 'user.name'}), 'alice42 & bob36', 'dotted path extracted');
+            a.equal(humanJoin(people, {property: 'user.age.years'}), 'undefined & undefined', 'missing path results in undefined');
+            a.equal(humanJoin([['a', 'b'], ['c', 'd']], {property: 1}), 'b & d', 'numeric index extracted');
+        });
+        
+        QUnit.test('format option', function(a){
+            a.expect(3);
+            var argLog = [];
+            var ans = humanJoin(this.list, {
+                format: function(item, i, list){
+                    argLog.push(list.length);
+                    return i + ':' + item.toUpperCase();
+                }
+            });
+            a.equal(ans, '0:APPLES, 1:ORANGES, 2:BANANAS & 3:PEARS', 'callback applied with item and index');
+            a.deepEqual(argLog, [4, 4, 4, 4], 'callback passed the list');
+            a.equal(
+                humanJoin([{n: 'a'}, {n: 'b'}], {
+                    property: 'n',
+                    format: function(n){ return n + n; },
+                    quoteWith: '"'
+                }),
+                '"aa" & "bb"',
+                'applied after the property is extracted and before quoting'
+            );
+        });
+        
+        QUnit.test('unique option', function(a){
+            a.expect(4);
+            a.equal(humanJoin(['a', 'b', 'a', 'c', 'b'], {unique: true}), 'a, b & c', 'duplicates removed, first occurrence kept');
+            a.equal(humanJoin([1, '1', 2], {unique: true}), '1 & 2', 'compared by formatted string');
+            a.equal(
+                humanJoin(['Apple', 'apple', 'Pear'], {unique: true, key: function(s){ return s.toLowerCase(); }}),
+                'Apple & Pear',
+                'compared by key'
+            );
+            a.equal(
+                humanJoin([NaN, 1, NaN, '1'], {unique: true, key: function(x){ return x; }}),
+                'NaN, 1 & 1',
+                'keys compared strictly, with NaN a duplicate of NaN'
+            );
+        });
+        
+        QUnit.test('sort option', function(a){
+            a.expect(7);
+            a.equal(humanJoin(['pears', 'apples', 'oranges'], {sort: true}), 'apples, oranges & pears', 'true sorts by string');
+            a.equal(humanJoin(['item10', 'item2', 'item1'], {sort: true}), 'item1, item10 & item2', 'true sorts by code unit');
+            a.equal(humanJoin(['item10', 'item2', 'item1'], {sort: 'natural'}), 'item1, item2 & item10', "'natural' sorts numbers numerically");
+            a.equal(humanJoin(['b', 'a', 'B', 'A'], {sort: 'locale', locale: 'en'}), 'a, A, b and B', "'locale' uses a collator");
+            a.equal(
+                humanJoin(['aa', 'b', 'ccc'], {sort: function(x, y){ return y.length - x.length; }}),
+                'ccc, aa & b',
+                'comparator callback'
+            );
+            a.equal(
+                humanJoin([{n: 'x', r: 10}, {n: 'y', r: 9}], {property: 'n', key: function(n, i, l){ return l[i].r; }, sort: true}),
+                'y & x',
+                'sorted by key, numbers compared numerically'
+            );
+            a.equal(
+                humanJoin([{n: 'x', r: 1}, {n: 'y', r: 2}], {property: 'n', key: function(n, i, l){ return l[i].r; }, sort: function(k1, k2){ return k2 - k1; }}),
+                'y & x',
+                'keys passed to the comparator'
+            );
+        });
+        
+        QUnit.test('sorting is deterministic', function(a){
+            var opts = {sort: true, unique: true, key: function(s){ return s.toLowerCase(); }};
+            a.equal(
+                humanJoin(['b', 'A', 'a', 'B'], opts),
+                humanJoin(['a', 'B', 'b', 'A'], opts),
+                'same output regardless of input order'
+            );
+        });
+        
+        QUnit.test('ranges option', function(a){
+            a.expect(7);
+            a.equal(humanJoin([1, 2, 3, 5, 7, 8, 9], {ranges: true}), '1\u20133, 5 & 7\u20139', 'runs collapsed');
+            a.equal(humanJoin(['1', '2', '3', 'x', '4'], {ranges: true}), '1\u20133, x & 4', 'numeric strings collapsed, other items break runs');
+            a.equal(humanJoin([1, 2, 4, 5], {ranges: true}), '1, 2, 4 & 5', 'runs shorter than three not collapsed by default');
+            a.equal(humanJoin([3, 1, 2], {ranges: true, sort: true}), '1\u20133', 'combines with sorting');
+            a.equal(
+                humanJoin([1, 2, 4, 5, 6], {ranges: true, rangeDash: '-', minRangeLength: 2, quoteWith: '[', oxford: true}),
+                '[1-2] and [4-6]',
+                'custom dash and minimum, ranges quoted and joined as single items'
+            );
+            a.equal(humanJoin([-2, -1, 0, 1], {ranges: true}), '-2\u20131', 'negative numbers');
+            a.equal(humanJoin([1.5, 2.5, 3.5], {ranges: true}), '1.5, 2.5 & 3.5', 'non-integers not collapsed');
+        });
+        
         QUnit.test('separator option', function(a){
             a.expect(3);
             a.equal(
@@ -112,7 +252,7 @@ QUnit.module('humanJoin() function',
         });
         
         QUnit.test('quoteWith option', function(a){
-            a.expect(7);
+            a.expect(9);
             a.equal(
                 humanJoin(this.list, {quoteWith: '"'}),
                 '"apples", "oranges", "bananas" & "pears"',
@@ -138,6 +278,16 @@ QUnit.module('humanJoin() function',
                 '+(apples)+, +(oranges)+, +(bananas)+ & +(pears)+',
                 'quoting works with multiple characters, some reversible, some not'
             );
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: '«'}),
+                '«a» & «b»',
+                'quoting works with guillemets'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: '👉'}),
+                '👉a👈 & 👉b👈',
+                'quoting works with emoji'
+            );
             a.equal(
                 humanJoin(this.list, {quoteWith: ''}),
                 'apples, oranges, bananas & pears',
@@ -150,6 +300,99 @@ QUnit.module('humanJoin() function',
             );
         });
         
+        QUnit.test('quoteWith option with multi-character tokens', function(a){
+            a.expect(4);
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: '<em>'}),
+                '<em>a</em> & <em>b</em>',
+                'XML-like tags closed automatically'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: '<span class="x">'}),
+                '<span class="x">a</span> & <span class="x">b</span>',
+                'XML-like tags with attributes closed automatically'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: '<!--'}),
+                '<!--a--> & <!--b-->',
+                'registered quote pairs used'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: '<em>', mirrorQuote: false}),
+                '<em>a<em> & <em>b<em>',
+                'not closed when mirrorQuote is false'
+            );
+        });
+        
+        QUnit.test('quotePair option', function(a){
+            a.expect(3);
+            a.equal(
+                humanJoin(['a', 'b'], {quotePair: ['[[', ']]>']}),
+                '[[a]]> & [[b]]>',
+                'explicit pair used'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {quotePair: ['<', '<'], quoteWith: '"'}),
+                '<a< & <b<',
+                'takes precedence over quoteWith and mirroring'
+            );
+            humanJoin.optionDefaults.quotePair = ['{', '}'];
+            a.equal(humanJoin(['a', 'b']), '{a} & {b}', 'can be set via the option defaults');
+        });
+        
+        QUnit.test('escapeQuotes option', function(a){
+            a.expect(10);
+            var list = ['say "hi"', 'a\\b'];
+            a.equal(humanJoin(list, {quoteWith: '"'}), '"say "hi"" & "a\\b"', 'quotes not escaped by default');
+            a.equal(
+                humanJoin(list, {quoteWith: '"', escapeQuotes: 'backslash'}),
+                '"say \\"hi\\"" & "a\\\\b"',
+                'backslash escapes quotes and backslashes'
+            );
+            a.equal(
+                humanJoin(list, {quoteWith: '"', escapeQuotes: 'double'}),
+                '"say ""hi""" & "a\\b"',
+                'double doubles quotes'
+            );
+            a.equal(
+                humanJoin(list, {quoteWith: '"', escapeQuotes: 'alternate'}),
+                '"say \'hi\'" & "a\\b"',
+                'alternate switches to single quotes'
+            );
+            a.equal(
+                humanJoin(['the \u201Cbest\u201D'], {quoteWith: true, escapeQuotes: 'alternate'}),
+                '\u201Cthe \u2018best\u2019\u201D',
+                'alternate switches locale quotes to the secondary style'
+            );
+            a.equal(
+                humanJoin(['a <<b>> c'], {quoteWith: '<<', escapeQuotes: 'double'}),
+                '<<a <<<<b>>>> c>>',
+                'mirrored closing quotes escaped too'
+            );
+            a.equal(
+                humanJoin(['a >> b'], {quoteWith: '<<', escapeQuotes: 'alternate'}),
+                '<<a \\>> b>>',
+                'alternate falls back to backslash for quotes with no secondary style'
+            );
+            a.equal(
+                humanJoin(['say "hi"'], {escapeQuotes: 'backslash'}),
+                'say "hi"',
+                'unquoted items not changed'
+            );
+            a.equal(
+                humanJoin(["it's"], {quoteWith: "'", escapeQuotes: function(item, open, close){
+                    return item.split(close).join('&apos;');
+                }}),
+                "'it&apos;s'",
+                'custom escaping callback'
+            );
+            a.equal(
+                humanJoin(['a "b"'], {quoteWith: '"', escapeQuotes: 'double', output: 'html'}),
+                '&quot;a &quot;&quot;b&quot;&quot;&quot;',
+                'escaped before HTML escaping'
+            );
+        });
+        
         QUnit.test('mirrorQuote option', function(a){
             a.expect(4);
             a.equal(
@@ -251,119 +494,1347 @@ QUnit.module('humanJoin() function',
                 'shortcut works as string'
             );
         });
-    }
-);
-
-QUnit.module('humanJoin.resetOptionDefaults() function', {},
-    function(){
-        QUnit.test('function exists', function(a){
-            a.equal(typeof humanJoin.resetOptionDefaults, 'function');
+        
+        QUnit.test('locale option', function(a){
+            a.expect(7);
+            a.equal(
+                humanJoin(this.list, {locale: 'fr'}),
+                'apples, oranges, bananas et pears',
+                "locale's conjunction replaces the default"
+            );
+            a.equal(
+                humanJoin(this.list, {locale: 'de', or: true}),
+                'apples, oranges, bananas oder pears',
+                "'or' shortcut uses the locale's disjunction"
+            );
+            a.equal(
+                humanJoin(this.list, {locale: 'fr', oxford: true}),
+                'apples, oranges, bananas et pears',
+                "'oxford' shortcut falls back to the regular conjunction for locales without a serial comma"
+            );
+            a.equal(
+                humanJoin(this.list, {locale: 'ja'}),
+                'apples\u3001oranges\u3001bananas\u3068pears',
+                "locale's separator replaces the default"
+            );
+            a.equal(
+                humanJoin(this.list, {locale: 'fr', conjunction: ' ou bien '}),
+                'apples, oranges, bananas ou bien pears',
+                'explicit options take precedence over the locale'
+            );
+            a.equal(
+                humanJoin(this.list, {locale: 'fr-CA'}),
+                'apples, oranges, bananas et pears',
+                'regional codes fall back to their language'
+            );
+            humanJoin.optionDefaults.locale = 'ga';
+            a.equal(
+                humanJoin(this.list),
+                'apples, oranges, bananas agus pears',
+                'locale can be set via the option defaults'
+            );
         });
         
-        QUnit.test('all defaults set to the expected value', function(a){
+        QUnit.test('locale-specific conjunction adjustments', function(a){
             a.expect(4);
-            humanJoin.resetOptionDefaults();
             a.equal(
-                humanJoin.optionDefaults.separator,
-                ', ',
-                'separator reset to expected value'
+                humanJoin(['agua', 'Irlanda'], {locale: 'es'}),
+                'agua e Irlanda',
+                'Spanish y becomes e before an i sound'
             );
             a.equal(
-                humanJoin.optionDefaults.conjunction,
-                ' & ',
-                'conjunction reset to expected value'
+                humanJoin(['agua', 'hielo'], {locale: 'es'}),
+                'agua y hielo',
+                'Spanish y is unchanged before a diphthong'
             );
             a.equal(
-                humanJoin.optionDefaults.quoteWith,
-                false,
-                'quoteWith reset to expected value'
+                humanJoin(['siete', 'ocho'], {locale: 'es', or: true}),
+                'siete u ocho',
+                'Spanish o becomes u before an o sound'
             );
             a.equal(
-                humanJoin.optionDefaults.mirrorQuote,
-                true,
-                'mirrorQuote reset to expected value'
+                humanJoin(['siete', 'ocho'], {locale: 'es', or: true, quoteWith: '"'}),
+                '"siete" u "ocho"',
+                'adjustment is based on the un-quoted item'
             );
         });
-    }
-);
-
-QUnit.module('humanJoin.mirrorCharacter() function', {},
-    function(){
-        QUnit.test('function exists', function(a){
-            a.equal(typeof humanJoin.mirrorCharacter, 'function');
+        
+        QUnit.test('quoteWith option with locale quotes', function(a){
+            a.expect(2);
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: true}),
+                '\u201Ca\u201D & \u201Cb\u201D',
+                'English typographic quotes used when no locale is active'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {quoteWith: true, locale: 'de'}),
+                '\u201Ea\u201C und \u201Eb\u201C',
+                "locale's typographic quotes used"
+            );
+        });        
+        QUnit.test('pairConjunction option', function(a){
+            a.expect(6);
+            a.equal(
+                humanJoin(['apples', 'oranges'], {pairConjunction: ' plus '}),
+                'apples plus oranges',
+                'used for lists of two items'
+            );
+            a.equal(
+                humanJoin(this.list, {pairConjunction: ' plus '}),
+                'apples, oranges, bananas & pears',
+                'not used for longer lists'
+            );
+            a.equal(
+                humanJoin(['apples', 'oranges'], 'oxford'),
+                'apples and oranges',
+                "'oxford' shortcut joins pairs without a serial comma"
+            );
+            a.equal(
+                humanJoin(['apples', 'oranges'], 'oxfordOr'),
+                'apples or oranges',
+                "'oxfordOr' shortcut joins pairs without a serial comma"
+            );
+            a.equal(
+                humanJoin(['apples', 'oranges'], {oxford: true, pairConjunction: ' & '}),
+                'apples & oranges',
+                'explicit value takes precedence over the shortcuts'
+            );
+            a.equal(
+                humanJoin(['apples', 'oranges'], {pairConjunction: ' plus ', noConjunction: true}),
+                'apples, oranges',
+                'suppressed by noConjunction'
+            );
         });
         
-        QUnit.test('un-reversible characters are returned as passed', function(a){
-            a.equal(humanJoin.mirrorCharacter('f'), 'f');
+        QUnit.test('escalate option', function(a){
+            a.expect(8);
+            var places = ['Paris, France', 'Dublin, Ireland', 'Rome, Italy'];
+            a.equal(humanJoin(places), 'Paris, France, Dublin, Ireland & Rome, Italy', 'not escalated by default');
+            a.equal(humanJoin(places, {escalate: true}), 'Paris, France; Dublin, Ireland & Rome, Italy', 'escalated to semi-colons');
+            a.equal(
+                humanJoin(places, {escalate: true, oxford: true}),
+                'Paris, France; Dublin, Ireland; and Rome, Italy',
+                'oxford conjunction adjusted to match'
+            );
+            a.equal(humanJoin(['a', 'b', 'c'], {escalate: true, oxford: true}), 'a, b, and c', 'not escalated when not needed');
+            a.equal(humanJoin(['a, b', 'c', 'd'], {escalate: ' | '}), 'a, b | c & d', 'custom stronger separator');
+            a.equal(
+                humanJoin(['apples', 'oranges', 'pears'], {separator: ' or ', escalate: true}),
+                'apples or oranges & pears',
+                'word separators only match whole words'
+            );
+            a.equal(
+                humanJoin(['apples', 'Romeo or Juliet', 'pears'], {separator: ' or ', escalate: true}),
+                'apples; Romeo or Juliet & pears',
+                'word separators escalated when needed'
+            );
+            humanJoin.optionDefaults.escalate = true;
+            a.equal(humanJoin(['a,b', 'c', 'd']), 'a,b; c & d', 'can be set via the option defaults');
         });
         
-        QUnit.test('reversible characters are reversed', function(a){
-            a.equal(humanJoin.mirrorCharacter('<'), '>');
+        QUnit.test('emptyText option', function(a){
+            a.expect(3);
+            a.equal(humanJoin([]), '', 'empty string by default');
+            a.equal(humanJoin([], {emptyText: 'nothing'}), 'nothing', 'custom text returned');
+            humanJoin.optionDefaults.emptyText = 'none';
+            a.equal(humanJoin(new Set()), 'none', 'can be set via the option defaults');
         });
         
-        QUnit.test('string-like inputs processed as expected', function(a){
-            a.expect(STRINGY_DATA_NAMES.length);
-            STRINGY_DATA_NAMES.forEach(function(dtn){
-                a.equal(
-                    humanJoin.mirrorCharacter(DUMMY_DATA[dtn]),
-                    (DUMMY_DATA[dtn] + '').slice(0, 1),
-                    dtn + ' treated as string'
-                );
-            });
+        QUnit.test('empty option', function(a){
+            a.expect(9);
+            var list = ['a', null, undefined, '', 'b'];
+            list[6] = 'c'; // leave a hole at index 5
+            a.equal(humanJoin(list), 'a, null, undefined, , b, undefined & c', 'empty items kept by default');
+            a.equal(humanJoin(list, {empty: 'keep'}), 'a, null, undefined, , b, undefined & c', 'keep');
+            a.equal(humanJoin(list, {empty: 'skip'}), 'a, b & c', 'skip');
+            a.equal(humanJoin(list, {empty: 'placeholder', maxItems: 3}), 'a, (none), (none) & 4 others', 'placeholder');
+            a.throws(function(){ humanJoin(list, {empty: 'throw'}); }, /list item 1 is empty, got null/, 'throw');
+            a.equal(humanJoin(['a', null], {empty: 'skip', singleTemplate: 'only {item}'}), 'only a', 'skipped before single items are detected');
+            a.equal(humanJoin([null, ''], {empty: 'skip', emptyText: 'nothing'}), 'nothing', 'skipped before empty lists are detected');
+            a.equal(humanJoin([{n: 'x'}, {}], {property: 'n', empty: 'skip'}), 'x', 'applied after property extraction');
+            humanJoin.optionDefaults.empty = 'skip';
+            a.equal(humanJoin(['a', null, 'b']), 'a & b', 'can be set via the option defaults');
         });
         
-        QUnit.test('invalid data returns empty string', function(a){
-            var shouldReturnEmptyStr = NONSTRINGY_DATA_NAMES.concat(['empty string']);
-            a.expect(shouldReturnEmptyStr.length);
-            shouldReturnEmptyStr.forEach(function(dtn){
-                a.equal(
-                    humanJoin.mirrorCharacter(DUMMY_DATA[dtn]),
-                    '',
-                    dtn + ' returns empty string'
-                );
-            });
+        QUnit.test('emptyPlaceholder & trimBlank options', function(a){
+            a.expect(3);
+            a.equal(humanJoin(['a', null], {empty: 'placeholder', emptyPlaceholder: '\u2014'}), 'a & \u2014', 'custom placeholder');
+            a.equal(humanJoin(['a', ' \t', 'b'], {empty: 'skip'}), 'a,  \t & b', 'whitespace-only items not empty by default');
+            a.equal(humanJoin(['a', ' \t', 'b'], {empty: 'skip', trimBlank: true}), 'a & b', 'whitespace-only items empty when trimBlank set');
         });
         
-        QUnit.test('long strings are truncated', function(a){
-            a.expect(2);
+        QUnit.test('singleTemplate option', function(a){
+            a.expect(3);
+            a.equal(humanJoin(['apples']), 'apples', 'single item returned as-is by default');
             a.equal(
-                humanJoin.mirrorCharacter('four'),
-                'f',
-                'long string starting with un-reversible character returns first character'
+                humanJoin(['apples'], {singleTemplate: 'only {item}', quoteWith: '"'}),
+                'only "apples"',
+                'template applied to the quoted item'
             );
             a.equal(
-                humanJoin.mirrorCharacter('<five'),
-                '>',
-                'long string starting with reversible character returns first character reversed'
+                humanJoin(this.list, {singleTemplate: 'only {item}'}),
+                'apples, oranges, bananas & pears',
+                'not applied to longer lists'
             );
         });
-    }
-);
-
-QUnit.module('humanJoin.mirrorString() function', {},
-    function(){
-        QUnit.test('function exists', function(a){
-            a.equal(typeof humanJoin.mirrorString, 'function');
-        });
-        
-        QUnit.test('single-character reversible string', function(a){
-            a.equal(humanJoin.mirrorString('<'), '>');
-        });
-        
-        QUnit.test('single-character non-reversible string', function(a){
-            a.equal(humanJoin.mirrorString('f'), 'f');
-        });
         
-        QUnit.test('multi-character reversible string', function(a){
-            a.equal(humanJoin.mirrorString('<('), ')>');
+        QUnit.test('output option', function(a){
+            a.expect(6);
+            a.equal(
+                humanJoin(['R&D', '<QA>'], {output: 'text'}),
+                'R&D & <QA>',
+                'nothing escaped in text mode'
+            );
+            a.equal(
+                humanJoin(['R&D', '<QA>'], {output: 'html'}),
+                'R&amp;D &amp; &lt;QA&gt;',
+                'items and conjunction escaped in HTML mode'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {output: 'html', quoteWith: '<<', separator: ' < '}),
+                '&lt;&lt;a&gt;&gt; &amp; &lt;&lt;b&gt;&gt;',
+                'quotes escaped in HTML mode'
+            );
+            a.equal(
+                humanJoin(['a', 'b', 'c'], {output: 'html', separator: ' | ', conjunction: ' <&> ', maxItems: 2, overflowText: '"{count}"'}),
+                'a | b &lt;&amp;&gt; &quot;1&quot;',
+                'separator, conjunction and overflow text escaped in HTML mode'
+            );
+            a.equal(
+                humanJoin(['*bold*', 'snake_case', '[link](x)'], {output: 'markdown'}),
+                '\\*bold\\*, snake\\_case & \\[link\\]\\(x\\)',
+                'meta-characters escaped in Markdown mode'
+            );
+            a.equal(
+                humanJoin([], {output: 'html', emptyText: '<none>'}),
+                '&lt;none&gt;',
+                'empty text escaped'
+            );
         });
         
-        QUnit.test('multi-character non-reversible string', function(a){
-            a.equal(humanJoin.mirrorString('-+'), '+-');
+        QUnit.test('wrapWith option', function(a){
+            a.expect(7);
+            a.equal(
+                humanJoin(['a', 'b'], {wrapWith: 'strong'}),
+                'a & b',
+                'ignored in text mode'
+            );
+            a.equal(
+                humanJoin(['a<', 'b'], {output: 'html', wrapWith: 'strong'}),
+                '<strong>a&lt;</strong> &amp; <strong>b</strong>',
+                'HTML element name'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {output: 'html', wrapWith: '<span class="x">', quoteWith: '"'}),
+                '&quot;<span class="x">a</span>&quot; &amp; &quot;<span class="x">b</span>&quot;',
+                'HTML opening tag with attributes, wrapped inside the quotes'
+            );
+            a.equal(
+                humanJoin(['a', 'b'], {output: 'html', wrapWith: ['<i>', '</i>']}),
+                '<i>a</i> &amp; <i>b</i>',
+                'explicit opening and closing markup'
+            );
+            a.equal(
+                humanJoin(['a*', 'b'], {output: 'markdown', wrapWith: '**'}),
+                '**a\\*** & **b**',
+                'Markdown emphasis'
+            );
+            a.equal(
+                humanJoin(['a*', 'b_c'], {output: 'markdown', wrapWith: '`'}),
+                '`a*` & `b_c`',
+                'Markdown code spans are not escaped'
+            );
+            a.equal(
+                humanJoin(['a`b', '`c'], {output: 'markdown', wrapWith: '`'}),
+                '``a`b`` & `` `c ``',
+                'Markdown code spans containing backticks get a longer fence'
+            );
         });
         
-        QUnit.test('multi-character mixed string', function(a){
-            a.equal(humanJoin.mirrorString('-+('), ')+-');
+        QUnit.test('maxItems option', function(a){
+            a.expect(6);
+            a.equal(
+                humanJoin(this.list, {maxItems: 2}),
+                'apples, oranges & 2 others',
+                'hidden items summarised in plural'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 3}),
+                'apples, oranges, bananas & 1 other',
+                'single hidden item summarised in singular'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 4}),
+                'apples, oranges, bananas & pears',
+                'lists that fit are not truncated'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 2, quoteWith: '"', oxford: true}),
+                '"apples", "oranges", and 2 others',
+                'works with quoting and the oxford shortcut, summary not quoted'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 0}),
+                'apples, oranges, bananas & pears',
+                'invalid values ignored'
+            );
+            humanJoin.optionDefaults.maxItems = 1;
+            a.equal(
+                humanJoin(this.list),
+                'apples & 3 others',
+                'can be set via the option defaults'
+            );
+        });
+        
+        QUnit.test('overflowText option', function(a){
+            a.expect(5);
+            a.equal(
+                humanJoin(this.list, {maxItems: 2, overflowText: '{count} more'}),
+                'apples, oranges & 2 more',
+                'string with placeholder'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 3, overflowText: { one: 'one more', other: '{count} more' }}),
+                'apples, oranges, bananas & one more',
+                'plural categories, singular'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 1, overflowText: { one: 'one more', other: '{count} more' }}),
+                'apples & 3 more',
+                'plural categories, plural'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 1, overflowText: function(n){ return 'another ' + n; }}),
+                'apples & another 3',
+                'callback'
+            );
+            a.equal(
+                humanJoin(this.list, {maxItems: 2, locale: 'fr'}),
+                'apples, oranges et 2 autres',
+                "locale's overflow text used by default"
+            );
+        });
+        
+        QUnit.test('strict option', function(a){
+            a.expect(6);
+            a.equal(humanJoin(this.list, {oxfrod: true}), 'apples, oranges, bananas & pears', 'mistakes ignored by default');
+            a.throws(function(){ humanJoin(['a'], {oxfrod: true, strict: true}); }, TypeError, 'unknown options rejected');
+            a.throws(function(){ humanJoin(['a'], {separator: {}, strict: true}); }, TypeError, 'invalid values rejected');
+            var warnings = [];
+            var warn = console.warn;
+            console.warn = function(msg){ warnings.push(msg); };
+            try{
+                a.equal(humanJoin(['a', 'b'], {and: true, or: true, strict: true}), 'a or b', 'conflicts still resolved');
+            }finally{
+                console.warn = warn;
+            }
+            a.deepEqual(warnings, ["humanJoin: conflicting shortcuts 'and' & 'or', only 'or' is applied"], 'conflicts reported as warnings');
+            humanJoin.optionDefaults.strict = true;
+            a.throws(function(){ humanJoin(['a'], 'oxfrod'); }, TypeError, 'can be set via the option defaults');
+        });
+        
+        QUnit.test('maxLength option', function(a){
+            a.expect(8);
+            a.equal(
+                humanJoin(this.list, {maxLength: 32}),
+                'apples, oranges, bananas & pears',
+                'lists that fit are not truncated'
+            );
+            a.equal(
+                humanJoin(this.list, {maxLength: 31}),
+                'apples, oranges & 2 others',
+                'trailing items dropped to fit, with summary'
+            );
+            a.equal(
+                humanJoin(this.list, {maxLength: 25, quoteWith: '"'}),
+                '"apples" & 3 others',
+                'quotes included in the length'
+            );
+            a.equal(
+                humanJoin(this.list, {maxLength: 30, maxItems: 1}),
+                'apples & 3 others',
+                'works with maxItems'
+            );
+            var names = [];
+            for(var n = 0; n < 5000; n++){
+                names.push('name' + n);
+            }
+            a.equal(
+                humanJoin(names, {maxLength: 40}),
+                'name0, name1, name2, name3 & 4996 others',
+                'long lists fitted without trying every length'
+            );
+            a.equal(
+                humanJoin(['a', 'b', 'c'], {maxLength: 8}),
+                'a, b & c',
+                'whole lists preferred when shorter than a summary'
+            );
+            a.equal(
+                humanJoin(['a very long item name'], {maxLength: 5}),
+                'a very long item name',
+                'the first item is always shown'
+            );
+            humanJoin.optionDefaults.maxLength = 20;
+            a.equal(
+                humanJoin(this.list),
+                'apples & 3 others',
+                'can be set via the option defaults'
+            );
+        });
+        
+        QUnit.test('lengthUnit option', function(a){
+            a.expect(3);
+            var cities = ['\u6771\u4EAC', '\u5927\u962A', '\u4EAC\u90FD']; // 東京, 大阪, 京都
+            a.equal(
+                humanJoin(cities, {maxLength: 12}),
+                '\u6771\u4EAC, \u5927\u962A & \u4EAC\u90FD',
+                'grapheme clusters counted by default'
+            );
+            a.equal(
+                humanJoin(cities, {maxLength: 12, lengthUnit: 'width'}),
+                '\u6771\u4EAC & 2 others',
+                'wide characters count double when measuring display width'
+            );
+            a.equal(
+                humanJoin(['e\u0301t\u00E9', 'x'], {maxLength: 9}),
+                'e\u0301t\u00E9 & x',
+                'combining marks not counted'
+            );
+        });
+        
+        QUnit.test('truncateItems & ellipsis options', function(a){
+            a.expect(6);
+            a.equal(
+                humanJoin(['a very long item name'], {maxLength: 10, truncateItems: true}),
+                'a very lo\u2026',
+                'long items truncated with an ellipsis'
+            );
+            a.equal(
+                humanJoin(['a very long item name', 'b'], {maxLength: 14, truncateItems: true, quoteWith: '"'}),
+                '"a\u2026" & 1 other',
+                'quotes and summary preserved'
+            );
+            a.equal(
+                humanJoin(['a very long item name'], {maxLength: 10, truncateItems: true, ellipsis: '...'}),
+                'a very...',
+                'custom ellipsis'
+            );
+            a.equal(
+                humanJoin(['a very long item name', 'b'], {maxLength: 10, truncateItems: true}),
+                'a very lo\u2026',
+                'summary left out when it would not fit'
+            );
+            a.equal(
+                humanJoin(['a very long item name', 'b'], {maxLength: 10, truncateItems: true, quoteWith: '"'}),
+                '"a very\u2026"',
+                'quoted item fits without the summary'
+            );
+            a.equal(
+                humanJoin(['abc'], {maxLength: 1, truncateItems: true, quoteWith: '"'}),
+                '\u2026',
+                'just the ellipsis when nothing else fits'
+            );
+        });
+    }
+);
+
+QUnit.module('humanJoin.resetOptionDefaults() function', {},
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.resetOptionDefaults, 'function');
+        });
+        
+        QUnit.test('all defaults set to the expected value', function(a){
+            a.expect(4);
+            humanJoin.resetOptionDefaults();
+            a.equal(
+                humanJoin.optionDefaults.separator,
+                ', ',
+                'separator reset to expected value'
+            );
+            a.equal(
+                humanJoin.optionDefaults.conjunction,
+                ' & ',
+                'conjunction reset to expected value'
+            );
+            a.equal(
+                humanJoin.optionDefaults.quoteWith,
+                false,
+                'quoteWith reset to expected value'
+            );
+            a.equal(
+                humanJoin.optionDefaults.mirrorQuote,
+                true,
+                'mirrorQuote reset to expected value'
+            );
+        });
+    }
+);
+
+QUnit.module('humanJoin.toParts() function',
+    {
+        beforeEach: function(){
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.toParts, 'function');
+        });
+        
+        QUnit.test('parts generated', function(a){
+            a.deepEqual(
+                humanJoin.toParts(['a', 'b', 'c'], {quoteWith: '<'}),
+                [
+                    {type: 'quoteOpen', value: '<', index: 0},
+                    {type: 'element', value: 'a', index: 0},
+                    {type: 'quoteClose', value: '>', index: 0},
+                    {type: 'separator', value: ', ', index: 1},
+                    {type: 'quoteOpen', value: '<', index: 1},
+                    {type: 'element', value: 'b', index: 1},
+                    {type: 'quoteClose', value: '>', index: 1},
+                    {type: 'conjunction', value: ' & ', index: 2},
+                    {type: 'quoteOpen', value: '<', index: 2},
+                    {type: 'element', value: 'c', index: 2},
+                    {type: 'quoteClose', value: '>', index: 2}
+                ]
+            );
+        });
+        
+        QUnit.test('empty quotes and separators omitted', function(a){
+            a.deepEqual(
+                humanJoin.toParts(['a', '', 'c'], {separator: ''}),
+                [
+                    {type: 'element', value: 'a', index: 0},
+                    {type: 'element', value: '', index: 1},
+                    {type: 'conjunction', value: ' & ', index: 2},
+                    {type: 'element', value: 'c', index: 2}
+                ]
+            );
+        });
+        
+        QUnit.test('overflow and literal parts', function(a){
+            a.expect(4);
+            a.deepEqual(
+                humanJoin.toParts(['a', 'b', 'c'], {maxItems: 1}),
+                [
+                    {type: 'element', value: 'a', index: 0},
+                    {type: 'conjunction', value: ' & ', index: 1},
+                    {type: 'overflow', value: '2 others', index: 1}
+                ],
+                'overflow'
+            );
+            a.deepEqual(
+                humanJoin.toParts(['a'], {singleTemplate: 'only {item}!'}),
+                [
+                    {type: 'literal', value: 'only '},
+                    {type: 'element', value: 'a', index: 0},
+                    {type: 'literal', value: '!'}
+                ],
+                'single item template'
+            );
+            a.deepEqual(humanJoin.toParts([], {emptyText: 'none'}), [{type: 'literal', value: 'none'}], 'empty text');
+            a.deepEqual(humanJoin.toParts(42), [{type: 'literal', value: '42'}], 'value that is not a list');
+        });
+        
+        QUnit.test('parts reproduce the joined string', function(a){
+            var list = ['R&D', 'QA', 'Paris, France', 'x'];
+            var optionSets = [
+                undefined,
+                'oxford',
+                {quoteWith: '"', maxItems: 2},
+                {output: 'html', wrapWith: 'b', quoteWith: '<'},
+                {locale: 'es', or: true},
+                {escalate: true, oxford: true},
+                {singleTemplate: 'just {item}', maxItems: 1}
+            ];
+            a.expect(optionSets.length);
+            optionSets.forEach(function(o){
+                a.equal(
+                    humanJoin.toParts(list, o).map(function(p){ return p.value; }).join(''),
+                    humanJoin(list, o),
+                    JSON.stringify(o)
+                );
+            });
+        });
+    }
+);
+
+QUnit.module('humanJoin.counts() function',
+    {
+        beforeEach: function(){
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.counts, 'function');
+        });
+        
+        QUnit.test('counts joined with pluralised nouns', function(a){
+            a.expect(6);
+            a.equal(humanJoin.counts({apple: 3, orange: 1, pear: 2}), '3 apples, 1 orange & 2 pears', 'object');
+            a.equal(humanJoin.counts(new Map([['box', 2], ['city', 3], ['day', 1]])), '2 boxes, 3 cities & 1 day', 'Map, with English rules');
+            a.equal(humanJoin.counts({child: 2, Person: 3, sheep: 4}), '2 children, 3 People & 4 sheep', 'irregular plurals from the locale pack');
+            a.equal(humanJoin.counts({quiz: 2, topaz: 3}), '2 quizzes & 3 topazes', 'doubled consonants from the locale pack');
+            a.equal(humanJoin.counts({a: 'lots', b: 2}), '2 bs', 'entries without numeric counts skipped');
+            a.equal(humanJoin.counts(null, {emptyText: 'nothing'}), 'nothing', 'non-objects treated as empty');
+        });
+        
+        QUnit.test('main function options supported', function(a){
+            a.expect(2);
+            a.equal(humanJoin.counts({apple: 3, orange: 1, pear: 2}, 'oxford'), '3 apples, 1 orange, and 2 pears', 'preset');
+            a.equal(
+                humanJoin.counts({apple: 3, orange: 1, pear: 2}, {quoteWith: '"', maxItems: 2}),
+                '"3 apples", "1 orange" & 1 other',
+                'quoting and truncation'
+            );
+        });
+        
+        QUnit.test('showZeros option', function(a){
+            a.expect(3);
+            a.equal(humanJoin.counts({apple: 0, pear: 2}), '2 pears', 'zero counts skipped by default');
+            a.equal(humanJoin.counts({apple: 0, pear: 2}, {showZeros: true}), '0 apples & 2 pears', 'zero counts shown');
+            humanJoin.optionDefaults.showZeros = true;
+            a.equal(humanJoin.counts({apple: 0}), '0 apples', 'can be set via the option defaults');
+        });
+        
+        QUnit.test('plurals & pluralize options', function(a){
+            a.expect(3);
+            a.equal(humanJoin.counts({cactus: 2, octopus: 1}, {plurals: {cactus: 'cacti'}}), '2 cacti & 1 octopus', 'plural string');
+            a.equal(
+                humanJoin.counts({kid: 2}, {plurals: {kid: {one: 'goat kid', other: 'goat kids'}}}),
+                '2 goat kids',
+                'forms by plural category'
+            );
+            a.equal(
+                humanJoin.counts({thing: 2, item: 1}, {pluralize: function(noun, category, count){ return noun + '(' + category + ':' + count + ')'; }}),
+                '2 thing(other:2) & 1 item(one:1)',
+                'custom pluralize callback'
+            );
+        });
+        
+        QUnit.test('locale plural rules', function(a){
+            a.expect(4);
+            a.equal(humanJoin.counts({cheval: 2, 'g\u00E2teau': 3, pomme: 0}, {locale: 'fr', showZeros: true}), '2 chevaux, 3 g\u00E2teaux et 0 pomme', 'French, with zero in the singular');
+            a.equal(humanJoin.counts({luz: 2, '\u00E1rbol': 2, casa: 3}, {locale: 'es'}), '2 luces, 2 \u00E1rboles y 3 casas', 'Spanish');
+            a.equal(humanJoin.counts({Apfel: 2}, {locale: 'de'}), '2 Apfel', 'German nouns unchanged without a dictionary');
+            a.equal(humanJoin.counts({Apfel: 2}, {locale: 'de', plurals: {Apfel: '\u00C4pfel'}}), '2 \u00C4pfel', 'German with a dictionary');
+        });
+        
+        QUnit.test('numberFormat & countTemplate options', function(a){
+            a.expect(3);
+            a.equal(humanJoin.counts({widget: 1200}, {numberFormat: true}), '1,200 widgets', 'locale number format');
+            a.equal(humanJoin.counts({widget: 1200}, {numberFormat: function(n){ return 'n=' + n; }}), 'n=1200 widgets', 'callback');
+            a.equal(humanJoin.counts({apple: 3}, {countTemplate: '{noun} \u00D7{count}'}), 'apples \u00D73', 'template');
+        });
+        
+        QUnit.test('strict mode', function(a){
+            a.expect(2);
+            a.throws(function(){ humanJoin.counts({apple: 3}, {strict: true, showZeros: 'yes'}); }, TypeError, 'invalid count options rejected');
+            a.throws(function(){ humanJoin.counts({apple: '3'}, {strict: true}); }, TypeError, 'non-numeric counts rejected');
+        });
+    }
+);
+
+QUnit.module('humanJoin.entries() function',
+    {
+        beforeEach: function(){
+            this.settings = {colour: 'red', size: 'large', weight: '2kg'};
+            this.box = {name: 'box', size: {width: 2, height: 3}};
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.entries, 'function');
+        });
+        
+        QUnit.test('entries joined', function(a){
+            a.expect(4);
+            a.equal(humanJoin.entries(this.settings), 'colour: red, size: large & weight: 2kg', 'object');
+            a.equal(humanJoin.entries(new Map([['a', 1], ['b', 2]])), 'a: 1 & b: 2', 'Map');
+            a.equal(humanJoin.entries(this.settings, {oxford: true, maxItems: 2}), 'colour: red, size: large, and 1 other', 'main function options supported');
+            a.equal(humanJoin.entries('stuff', {emptyText: 'nothing'}), 'nothing', 'non-objects treated as empty');
+        });
+        
+        QUnit.test('keyValueDelimiter, quoteKeys & quoteValues options', function(a){
+            a.expect(4);
+            a.equal(humanJoin.entries(this.settings, {keyValueDelimiter: '='}), 'colour=red, size=large & weight=2kg', 'delimiter');
+            a.equal(humanJoin.entries({a: 1}, {quoteKeys: '[', quoteValues: '"'}), '[a]: "1"', 'separate quotes, mirrored');
+            a.equal(humanJoin.entries({a: 1}, {quoteKeys: true, locale: 'de'}), '\u201Ea\u201C: 1', "locale's quotes");
+            a.equal(humanJoin.entries({'a"b': 'c"d'}, {quoteKeys: '"', quoteValues: '"', escapeQuotes: 'backslash'}), '"a\\"b": "c\\"d"', 'quotes escaped');
+        });
+        
+        QUnit.test('keyFilter option', function(a){
+            a.expect(3);
+            a.equal(humanJoin.entries(this.settings, {keyFilter: ['size', 'colour']}), 'colour: red & size: large', 'array');
+            a.equal(humanJoin.entries(this.settings, {keyFilter: /^s/}), 'size: large', 'regular expression');
+            a.equal(
+                humanJoin.entries(this.box, {keyFilter: function(key, value, path){ return path.join('.') !== 'size.height'; }}),
+                'name: box & size.width: 2',
+                'callback, with the path'
+            );
+        });
+        
+        QUnit.test('nested objects', function(a){
+            a.expect(6);
+            a.equal(humanJoin.entries(this.box), 'name: box, size.width: 2 & size.height: 3', 'flattened by default');
+            a.equal(humanJoin.entries(this.box, {pathSeparator: '/'}), 'name: box, size/width: 2 & size/height: 3', 'custom path separator');
+            a.equal(humanJoin.entries(this.box, {nested: 'brackets'}), 'name: box & size: (width: 2 & height: 3)', 'sub-lists in brackets');
+            a.equal(humanJoin.entries({tags: ['a', 'b']}, {bracketWith: '\u300C'}), 'tags: \u300Ca & b\u300D', 'arrays as sub-lists, mirrored brackets');
+            a.equal(humanJoin.entries({a: {}, b: 1}), 'a: () & b: 1', 'empty objects kept when flattening');
+            var loop = {a: 1};
+            loop.self = loop;
+            a.throws(function(){ humanJoin.entries(loop); }, RangeError, 'circular references rejected');
+        });
+    }
+);
+
+QUnit.module('humanJoin.sentence() function',
+    {
+        beforeEach: function(){
+            this.templates = {
+                zero: 'no files are missing',
+                one: 'the file {list} is missing',
+                other: 'the {count} files {list} are missing'
+            };
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.sentence, 'function');
+        });
+        
+        QUnit.test('template chosen by count', function(a){
+            a.expect(5);
+            a.equal(humanJoin.sentence([], this.templates), 'no files are missing', 'zero');
+            a.equal(humanJoin.sentence(['a.txt'], this.templates), 'the file a.txt is missing', 'one');
+            a.equal(humanJoin.sentence(['a.txt', 'b.txt', 'c.txt'], this.templates, 'oxford'), 'the 3 files a.txt, b.txt, and c.txt are missing', 'other, with main function options');
+            a.equal(humanJoin.sentence([], {other: '{count} files: {list}'}), '0 files: ', 'falls back to the other template');
+            a.equal(humanJoin.sentence(['a', 'b'], 'got {list}'), 'got a & b', 'single template');
+        });
+        
+        QUnit.test('one-shot iterables', function(a){
+            var gen = function*(){ yield 'a'; yield 'b'; };
+            a.equal(humanJoin.sentence(gen(), {one: '{list} is', other: '{list} are'}), 'a & b are', 'generator counted and joined');
+        });
+        
+        QUnit.test('items prepared once', function(a){
+            a.expect(2);
+            var calls = 0;
+            var format = function(item){
+                calls++;
+                return item.toUpperCase();
+            };
+            a.equal(humanJoin.sentence(['b', 'a'], '{count}: {list}', {format: format, sort: true}), '2: A & B', 'formatted and sorted');
+            a.equal(calls, 2, 'format called once per item');
+        });
+        
+        QUnit.test('count excludes skipped items', function(a){
+            a.equal(humanJoin.sentence(['a.txt', null], this.templates, {empty: 'skip'}), 'the file a.txt is missing');
+        });
+        
+        QUnit.test('locale plural categories', function(a){
+            a.expect(3);
+            var templates = {one: '{count} plik', few: '{count} pliki', many: '{count} plik\u00F3w'}; // Polish
+            a.equal(humanJoin.sentence(['a'], templates, {locale: 'pl'}), '1 plik', 'one');
+            a.equal(humanJoin.sentence(['a', 'b'], templates, {locale: 'pl'}), '2 pliki', 'few');
+            a.equal(humanJoin.sentence(['a', 'b', 'c', 'd', 'e'], templates, {locale: 'pl'}), '5 plik\u00F3w', 'many');
+        });
+        
+        QUnit.test('capitalize option', function(a){
+            a.expect(4);
+            a.equal(humanJoin.sentence(['a.txt'], this.templates, {capitalize: true}), 'The file a.txt is missing', 'first letter capitalised');
+            a.equal(humanJoin.sentence(['x'], '\u00BF{list}?', {capitalize: true}), '\u00BFX?', 'leading punctuation skipped');
+            a.equal(humanJoin.sentence(['x'], '1 {list}', {capitalize: true}), '1 x', 'nothing changed when starting with a digit');
+            a.equal(humanJoin.sentence(['x'], '{list}', {capitalize: true, output: 'html', wrapWith: 'b'}), '<b>X</b>', 'markup skipped');
+        });
+        
+        QUnit.test('punctuate option', function(a){
+            a.expect(5);
+            a.equal(humanJoin.sentence(['a.txt'], this.templates, {punctuate: true}), 'the file a.txt is missing.', 'full stop added');
+            a.equal(humanJoin.sentence(['a.txt'], this.templates, {punctuate: '!'}), 'the file a.txt is missing!', 'custom punctuation');
+            a.equal(humanJoin.sentence(['a'], 'is it {list}?', {punctuate: true}), 'is it a?', 'existing punctuation kept');
+            a.equal(humanJoin.sentence(['a', 'b'], '{list}\u304C\u306A\u3044', {punctuate: true, locale: 'ja'}), 'a\u3068b\u304C\u306A\u3044\u3002', "locale's full stop");
+            humanJoin.optionDefaults.punctuate = true;
+            a.equal(humanJoin.sentence(['a'], '{list}'), 'a.', 'can be set via the option defaults');
+        });
+    }
+);
+
+QUnit.module('humanJoin.validateOptions() function',
+    {
+        beforeEach: function(){
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.validateOptions, 'function');
+        });
+        
+        QUnit.test('valid options accepted', function(a){
+            a.expect(4);
+            a.deepEqual(humanJoin.validateOptions(), [], 'no options');
+            a.deepEqual(humanJoin.validateOptions('oxford'), [], 'preset name');
+            a.deepEqual(humanJoin.validateOptions('noConjunction'), [], 'shortcut name');
+            a.deepEqual(
+                humanJoin.validateOptions({separator: '; ', quoteWith: true, sort: 'natural', maxItems: 3, locale: 'de-AT', wrapWith: ['<b>', '</b>']}),
+                [],
+                'options object'
+            );
+        });
+        
+        QUnit.test('invalid options rejected', function(a){
+            a.expect(8);
+            a.throws(function(){ humanJoin.validateOptions(42); }, TypeError, 'options of the wrong type');
+            a.throws(function(){ humanJoin.validateOptions({oxfrod: true}); }, /unknown option 'oxfrod' \(did you mean 'oxford'\?\)/, 'unknown option names, with suggestion');
+            a.throws(function(){ humanJoin.validateOptions('oxfrod'); }, TypeError, 'unknown shortcut names');
+            a.throws(function(){ humanJoin.validateOptions({separator: {}}); }, /option 'separator' must be a string or a number, got \{\}/, 'values of the wrong type');
+            a.throws(function(){ humanJoin.validateOptions({output: 'pdf'}); }, RangeError, 'values not in the allowed set');
+            a.throws(function(){ humanJoin.validateOptions({maxItems: 1.5}); }, RangeError, 'numbers out of range');
+            a.throws(function(){ humanJoin.validateOptions({preset: 'nope'}); }, RangeError, 'unknown presets');
+            a.throws(function(){ humanJoin.validateOptions({locale: 'xx'}); }, RangeError, 'unknown locales');
+        });
+        
+        QUnit.test('conflicts reported as warnings', function(a){
+            a.expect(5);
+            a.deepEqual(
+                humanJoin.validateOptions({and: true, or: true}),
+                ["conflicting shortcuts 'and' & 'or', only 'or' is applied"],
+                'conflicting shortcuts'
+            );
+            a.deepEqual(
+                humanJoin.validateOptions({oxford: true, conjunction: ' + '}),
+                ["option 'conjunction' is overridden by 'oxford'"],
+                'shortcut overriding the conjunction'
+            );
+            a.deepEqual(
+                humanJoin.validateOptions({preset: 'oxford', conjunction: ' + '}),
+                [],
+                'explicit conjunction replaces a shortcut from a preset'
+            );
+            a.deepEqual(
+                humanJoin.validateOptions({quoteWith: '"', quotePair: ['<', '>']}),
+                ["option 'quoteWith' is overridden by 'quotePair'"],
+                'quotePair overriding quoteWith'
+            );
+            a.deepEqual(humanJoin.validateOptions({oxford: true, oxfordAnd: true}), [], 'synonyms are not conflicts');
+        });
+    }
+);
+
+QUnit.module('humanJoin.tag, humanJoin.tagWith() & humanJoin.opts()',
+    {
+        beforeEach: function(){
+            this.list = ['apples', 'oranges', 'pears'];
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('functions exist', function(a){
+            a.expect(3);
+            a.equal(typeof humanJoin.tag, 'function', 'tag exists');
+            a.equal(typeof humanJoin.tagWith, 'function', 'tagWith() exists');
+            a.equal(typeof humanJoin.opts, 'function', 'opts() exists');
+        });
+        
+        QUnit.test('lists joined, other values inserted as-is', function(a){
+            a.expect(3);
+            var n = 3;
+            a.equal(humanJoin.tag`We stock ${n} fruits: ${this.list}.`, 'We stock 3 fruits: apples, oranges & pears.', 'array joined');
+            a.equal(humanJoin.tag`${new Set(['a', 'b'])}`, 'a & b', 'iterable joined');
+            a.equal(humanJoin.tag`${'abc'}, ${null} & ${{}}`, 'abc, null & [object Object]', 'non-lists inserted as-is');
+        });
+        
+        QUnit.test('tagWith() options applied', function(a){
+            a.expect(2);
+            a.equal(humanJoin.tagWith('oxford')`We stock ${this.list}.`, 'We stock apples, oranges, and pears.', 'preset name');
+            a.equal(humanJoin.tagWith({quoteWith: '"'})`${this.list}`, '"apples", "oranges" & "pears"', 'options object');
+        });
+        
+        QUnit.test('per-placeholder options', function(a){
+            a.expect(2);
+            a.equal(
+                humanJoin.tag`Pick ${humanJoin.opts(this.list, 'oxfordOr')} or ${['x', 'y']}?`,
+                'Pick apples, oranges, or pears or x & y?',
+                'options applied to one placeholder only'
+            );
+            a.equal(
+                humanJoin.tagWith({quoteWith: '"'})`${humanJoin.opts(this.list, 'or')}`,
+                '"apples", "oranges" or "pears"',
+                "placeholder options applied on top of the tag's options"
+            );
+        });
+    }
+);
+
+QUnit.module('humanJoin.split() function',
+    {
+        beforeEach: function(){
+            this.list = ['apples', 'oranges', 'bananas', 'pears'];
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.split, 'function');
+        });
+        
+        QUnit.test('default configuration', function(a){
+            a.expect(3);
+            a.deepEqual(humanJoin.split('apples, oranges, bananas & pears'), this.list, 'list split');
+            a.deepEqual(humanJoin.split('apples'), ['apples'], 'single item');
+            a.deepEqual(humanJoin.split(''), [], 'empty string gives empty list');
+        });
+        
+        QUnit.test('conjunction variants detected automatically', function(a){
+            a.expect(5);
+            a.deepEqual(humanJoin.split('apples, oranges, bananas and pears'), this.list, "'and'");
+            a.deepEqual(humanJoin.split('apples, oranges, bananas or pears'), this.list, "'or'");
+            a.deepEqual(humanJoin.split('apples, oranges, bananas, and pears'), this.list, "'oxford'");
+            a.deepEqual(humanJoin.split('apples, oranges, bananas, or pears'), this.list, "'oxfordOr'");
+            a.deepEqual(humanJoin.split('apples, oranges, bananas et pears', {locale: 'fr'}), this.list, 'locale words');
+        });
+        
+        QUnit.test('conjunctions adapted by the locale', function(a){
+            a.expect(4);
+            var es = {locale: 'es'};
+            var esOr = {locale: 'es', or: true};
+            a.deepEqual(humanJoin.split(humanJoin(['agua', 'iglesia'], es), es), ['agua', 'iglesia'], "' e ' round trip");
+            a.deepEqual(humanJoin.split(humanJoin(['siete', 'uno', 'ocho'], esOr), esOr), ['siete', 'uno', 'ocho'], "' u ' round trip");
+            a.deepEqual(humanJoin.split('uno u ocho', es), ['uno', 'ocho'], 'adapted variants detected automatically');
+            a.deepEqual(humanJoin.split('agua, hielo y hierro', es), ['agua', 'hielo', 'hierro'], 'unadapted conjunction');
+        });
+        
+        QUnit.test('configured conjunction takes precedence', function(a){
+            a.deepEqual(
+                humanJoin.split('apples, Romeo and Juliet & pears'),
+                ['apples', 'Romeo and Juliet', 'pears']
+            );
+        });
+        
+        QUnit.test('quoted items', function(a){
+            a.expect(3);
+            a.deepEqual(
+                humanJoin.split('"apples", "oranges", and "pears"', {quoteWith: '"', oxford: true}),
+                ['apples', 'oranges', 'pears'],
+                'quotes stripped'
+            );
+            a.deepEqual(
+                humanJoin.split('<<Paris, France>>, <<Dublin, Ireland>> & <<Rome & Naples>>', {quoteWith: '<<'}),
+                ['Paris, France', 'Dublin, Ireland', 'Rome & Naples'],
+                'mirrored quotes stripped, and separators inside quotes preserved'
+            );
+            a.deepEqual(
+                humanJoin.split('-<a-<, -<b-<', {quoteWith: '-<', mirrorQuote: false, noConjunction: true}),
+                ['a', 'b'],
+                'un-mirrored quotes stripped'
+            );
+        });
+        
+        QUnit.test('escalated separators', function(a){
+            a.expect(2);
+            var places = ['Paris, France', 'Dublin, Ireland', 'Rome, Italy'];
+            a.deepEqual(
+                humanJoin.split('Paris, France; Dublin, Ireland; and Rome, Italy', {escalate: true}),
+                places,
+                'escalated separator and conjunction detected'
+            );
+            a.deepEqual(
+                humanJoin.split(humanJoin(places, {escalate: true, oxford: true}), {escalate: true, oxford: true}),
+                places,
+                'round trip'
+            );
+        });
+        
+        QUnit.test('round trips', function(a){
+            var optionSets = [
+                undefined,
+                'and',
+                'or',
+                'oxford',
+                'oxfordOr',
+                'noConjunction',
+                {separator: '; ', conjunction: ' and also '},
+                {quoteWith: '"', oxford: true},
+                {quoteWith: '[', separator: ''},
+                {quoteWith: true, locale: 'de'},
+                {locale: 'ja'},
+                {escalate: true, oxford: true}
+            ];
+            var lists = [['apples'], ['apples', 'oranges'], this.list];
+            a.expect(optionSets.length * lists.length);
+            optionSets.forEach(function(o){
+                lists.forEach(function(l){
+                    a.deepEqual(humanJoin.split(humanJoin(l, o), o), l, JSON.stringify(o) + ' with ' + l.length + ' item(s)');
+                });
+            });
+        });
+    }
+);
+
+QUnit.module('humanJoin.create() function',
+    {
+        beforeEach: function(){
+            this.list = ['apples', 'oranges', 'pears'];
+            humanJoin.resetOptionDefaults();
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.create, 'function');
+        });
+        
+        QUnit.test('returns a joiner with its own helpers', function(a){
+            var j = humanJoin.create();
+            var helpers = ['mirrorString', 'mirrorCharacter', 'resetOptionDefaults', 'create', 'definePreset', 'removePreset', 'registerLocale', 'resolveLocale'];
+            a.expect(2 + helpers.length);
+            a.equal(typeof j, 'function', 'joiner is a function');
+            a.notStrictEqual(j, humanJoin, 'joiner is a new function');
+            helpers.forEach(function(h){
+                a.ok(typeof j[h] === 'function' && j[h] !== humanJoin[h], h + '() is its own');
+            });
+        });
+        
+        QUnit.test('defaults applied', function(a){
+            a.expect(2);
+            var j = humanJoin.create({ conjunction: ', and ', quoteWith: '"' });
+            a.equal(j(this.list), '"apples", "oranges", and "pears"', 'instance uses its defaults');
+            a.equal(humanJoin(this.list), 'apples, oranges & pears', 'original unaffected');
+        });
+        
+        QUnit.test('instances are isolated from each other', function(a){
+            a.expect(5);
+            var j = humanJoin.create();
+            j.optionDefaults.conjunction = ' plus ';
+            j.definePreset('house', { separator: '; ' });
+            j.mirrorMap['/'] = '\\';
+            j.registerLocale('fr', { conjunction: ' puis ' });
+            a.equal(humanJoin(this.list), 'apples, oranges & pears', 'option defaults isolated');
+            a.equal(humanJoin(this.list, 'house'), 'apples, oranges & pears', 'presets isolated');
+            a.equal(humanJoin.mirrorString('/'), '/', 'mirror map isolated');
+            a.equal(j.mirrorString('/'), '\\', "instance's own mirror map used");
+            a.equal(humanJoin(this.list, {locale: 'fr'}), 'apples, oranges et pears', 'locales isolated');
+        });
+        
+        QUnit.test('nested settings are isolated', function(a){
+            a.expect(3);
+            var parent = humanJoin.create();
+            parent.definePreset('brackets', { quotePair: ['[', ']'] });
+            var j = parent.create();
+            j.locales.en.plurals.cactus = 'cacti';
+            j.locales.fr.quotes[0] = '<<';
+            j.presets.brackets.quotePair[0] = '{';
+            a.equal(humanJoin.counts({cactus: 2}), '2 cactuses', 'locale dictionaries isolated');
+            a.equal(humanJoin(['a'], {locale: 'fr', quoteWith: true}), '\u00AB\u00A0a\u00A0\u00BB', 'locale quotes isolated');
+            a.equal(parent(['a'], 'brackets'), '[a]', 'presets isolated');
+        });
+        
+        QUnit.test('nested defaults are copied', function(a){
+            a.expect(2);
+            var defaults = { overflowText: { one: '{count} more', other: '{count} more' } };
+            var j = humanJoin.create(defaults);
+            defaults.overflowText.other = 'changed';
+            a.equal(j(['a', 'b', 'c'], {maxItems: 1}), 'a & 2 more', "caller's defaults copied");
+            j.optionDefaults.overflowText.other = 'changed';
+            j.resetOptionDefaults();
+            a.equal(j(['a', 'b', 'c'], {maxItems: 1}), 'a & 2 more', 'instance defaults restored after nested changes');
+        });
+        
+        QUnit.test('resetOptionDefaults() restores the instance defaults', function(a){
+            a.expect(2);
+            var j = humanJoin.create({ conjunction: ' and ' });
+            j.optionDefaults.conjunction = ' plus ';
+            j.resetOptionDefaults();
+            a.equal(j(this.list), 'apples, oranges and pears', "instance's defaults restored");
+            humanJoin.resetOptionDefaults();
+            a.equal(j(this.list), 'apples, oranges and pears', "resetting the original doesn't affect the instance");
+        });
+        
+        QUnit.test('child instances inherit and override settings', function(a){
+            a.expect(3);
+            var parent = humanJoin.create({ quoteWith: '"', conjunction: ' and ' });
+            parent.definePreset('house', { separator: '; ' });
+            var child = parent.create({ conjunction: ' or ' });
+            a.equal(child(this.list), '"apples", "oranges" or "pears"', 'defaults inherited and overridden');
+            a.equal(child(this.list, 'house'), '"apples"; "oranges" or "pears"', 'presets inherited');
+            child.definePreset('house', { separator: ' | ' });
+            a.equal(parent(this.list, 'house'), '"apples"; "oranges" and "pears"', 'changes to the child do not affect the parent');
+        });
+        
+        QUnit.test('invalid defaults throw', function(a){
+            a.throws(function(){ humanJoin.create('oxford'); }, TypeError);
+        });
+    }
+);
+
+QUnit.module('humanJoin.registerLocale() & humanJoin.resolveLocale() functions',
+    {
+        afterEach: function(){
+            delete humanJoin.locales.xx;
+            delete humanJoin.locales['xx-yy'];
+        }
+    },
+    function(){
+        QUnit.test('functions exist', function(a){
+            a.expect(2);
+            a.equal(typeof humanJoin.registerLocale, 'function', 'registerLocale() exists');
+            a.equal(typeof humanJoin.resolveLocale, 'function', 'resolveLocale() exists');
+        });
+        
+        QUnit.test('new locales can be registered and used', function(a){
+            a.expect(2);
+            humanJoin.registerLocale('XX', { conjunction: ' plus ' });
+            a.ok(humanJoin.locales.xx, 'pack stored under normalised code');
+            a.equal(humanJoin(['a', 'b', 'c'], {locale: 'xx'}), 'a, b plus c', 'registered pack used');
+        });
+        
+        QUnit.test('registering an existing locale merges the keys', function(a){
+            a.expect(2);
+            humanJoin.registerLocale('xx', { conjunction: ' plus ', disjunction: ' minus ' });
+            humanJoin.registerLocale('xx', { conjunction: ' also ' });
+            a.equal(humanJoin.locales.xx.conjunction, ' also ', 'new key overrides existing key');
+            a.equal(humanJoin.locales.xx.disjunction, ' minus ', 'other keys are retained');
+        });
+        
+        QUnit.test('regional packs are resolved on top of their language', function(a){
+            a.expect(3);
+            humanJoin.registerLocale('xx', { conjunction: ' plus ', disjunction: ' minus ' });
+            humanJoin.registerLocale('xx_YY', { conjunction: ' also ' });
+            var pack = humanJoin.resolveLocale('xx-yy');
+            a.equal(pack.conjunction, ' also ', 'regional key used');
+            a.equal(pack.disjunction, ' minus ', 'language key inherited');
+            a.equal(pack.oxfordConjunction, ' also ', 'oxford form falls back to the conjunction');
+        });
+        
+        QUnit.test('unknown locales resolve to undefined', function(a){
+            a.expect(2);
+            a.strictEqual(humanJoin.resolveLocale('zz'), undefined, 'unknown code');
+            a.strictEqual(humanJoin.resolveLocale(42), undefined, 'non-string');
+        });
+        
+        QUnit.test('invalid arguments throw', function(a){
+            a.expect(2);
+            a.throws(function(){ humanJoin.registerLocale('', {}); }, TypeError, 'empty code');
+            a.throws(function(){ humanJoin.registerLocale('xx', 'stuff'); }, TypeError, 'non-object pack');
+        });
+    }
+);
+
+QUnit.module('humanJoin.definePreset() & humanJoin.removePreset() functions',
+    {
+        beforeEach: function(){
+            this.list = ['apples', 'oranges', 'pears'];
+            humanJoin.resetOptionDefaults();
+        },
+        afterEach: function(){
+            ['house', 'houseOr', 'loopA', 'loopB'].forEach(function(n){
+                delete humanJoin.presets[n];
+            });
+        }
+    },
+    function(){
+        QUnit.test('functions exist', function(a){
+            a.expect(2);
+            a.equal(typeof humanJoin.definePreset, 'function', 'definePreset() exists');
+            a.equal(typeof humanJoin.removePreset, 'function', 'removePreset() exists');
+        });
+        
+        QUnit.test('defined presets can be used by name', function(a){
+            a.expect(2);
+            humanJoin.definePreset('house', { oxford: true, quoteWith: '"' });
+            a.equal(humanJoin(this.list, 'house'), '"apples", "oranges", and "pears"', 'as a string');
+            a.equal(humanJoin(this.list, {preset: 'house'}), '"apples", "oranges", and "pears"', 'via the preset option');
+        });
+        
+        QUnit.test('explicit options take precedence over presets', function(a){
+            humanJoin.definePreset('house', { oxford: true, quoteWith: '"' });
+            a.equal(humanJoin(this.list, {preset: 'house', quoteWith: "'"}), "'apples', 'oranges', and 'pears'");
+        });
+        
+        QUnit.test('explicit conjunctions take precedence over shortcuts from presets', function(a){
+            a.expect(5);
+            a.equal(humanJoin(this.list, {preset: 'oxford', or: true}), 'apples, oranges or pears', 'shortcut');
+            a.equal(humanJoin(this.list, {preset: 'oxford', and: true}), 'apples, oranges and pears', 'earlier shortcut');
+            a.equal(humanJoin(this.list, {preset: 'oxford', conjunction: ' plus '}), 'apples, oranges plus pears', 'conjunction');
+            humanJoin.definePreset('house', { oxford: true, quoteWith: '"' });
+            humanJoin.definePreset('houseOr', { preset: 'house', and: true });
+            a.equal(humanJoin(this.list, 'houseOr'), '"apples", "oranges" and "pears"', 'derived preset');
+            a.equal(humanJoin(this.list, {preset: ['oxford', 'or']}), 'apples, oranges or pears', 'later preset');
+        });
+        
+        QUnit.test('presets can build on other presets', function(a){
+            a.expect(2);
+            humanJoin.definePreset('house', { separator: '; ', quoteWith: '"' });
+            humanJoin.definePreset('houseOr', { preset: ['house', 'or'], quoteWith: "'" });
+            a.equal(humanJoin(this.list, 'houseOr'), "'apples'; 'oranges' or 'pears'", 'nested presets expanded');
+            a.equal(humanJoin(this.list, {preset: ['house', 'oxford']}), '"apples"; "oranges", and "pears"', 'multiple presets merged');
+        });
+        
+        QUnit.test('circular presets throw', function(a){
+            humanJoin.definePreset('loopA', { preset: 'loopB' });
+            humanJoin.definePreset('loopB', { preset: 'loopA' });
+            a.throws(function(){ humanJoin(['a', 'b'], 'loopA'); }, RangeError);
+        });
+        
+        QUnit.test('presets can be removed', function(a){
+            a.expect(3);
+            humanJoin.definePreset('house', { separator: '; ' });
+            a.strictEqual(humanJoin.removePreset('house'), true, 'returns true when removed');
+            a.equal(humanJoin(this.list, 'house'), 'apples, oranges & pears', 'removed preset no longer applied');
+            a.strictEqual(humanJoin.removePreset('house'), false, 'returns false when there is no such preset');
+        });
+        
+        QUnit.test('invalid arguments throw', function(a){
+            a.expect(2);
+            a.throws(function(){ humanJoin.definePreset('', {}); }, TypeError, 'empty name');
+            a.throws(function(){ humanJoin.definePreset('house', null); }, TypeError, 'non-object options');
+        });
+    }
+);
+
+QUnit.module('humanJoin.closingQuote() function', {
+        afterEach: function(){
+            delete humanJoin.quotePairs['<<<'];
+        }
+    },
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.closingQuote, 'function');
+        });
+        
+        QUnit.test('registered pairs', function(a){
+            a.expect(3);
+            a.equal(humanJoin.closingQuote('/*'), '*/', 'built-in pair');
+            a.equal(humanJoin.closingQuote('{{'), '}}', 'built-in pair');
+            humanJoin.quotePairs['<<<'] = '>>>!';
+            a.equal(humanJoin.closingQuote('<<<'), '>>>!', 'newly registered pair');
+        });
+        
+        QUnit.test('XML-like tags', function(a){
+            a.expect(6);
+            a.equal(humanJoin.closingQuote('<b>'), '</b>', 'simple tag');
+            a.equal(humanJoin.closingQuote('<svg:text x="1">'), '</svg:text>', 'namespaced tag with attributes');
+            a.equal(humanJoin.closingQuote('<<b>'), '<b>>', 'not a tag, so mirrored');
+            a.equal(humanJoin.closingQuote('<br/>'), '', 'self-closing tag left unclosed');
+            a.equal(humanJoin.closingQuote('<img src="x.png" />'), '', 'self-closing tag with attributes left unclosed');
+            a.equal(humanJoin.closingQuote('<HR>'), '', 'void element left unclosed');
+        });
+        
+        QUnit.test('fallback to mirroring', function(a){
+            a.expect(2);
+            a.equal(humanJoin.closingQuote('-<'), '>-', 'mirrored');
+            a.equal(humanJoin.closingQuote({}), '', 'invalid data returns empty string');
+        });
+    }
+);
+
+QUnit.module('humanJoin.mirrorCharacter() function', {},
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.mirrorCharacter, 'function');
+        });
+        
+        QUnit.test('un-reversible characters are returned as passed', function(a){
+            a.equal(humanJoin.mirrorCharacter('f'), 'f');
+        });
+        
+        QUnit.test('reversible characters are reversed', function(a){
+            a.equal(humanJoin.mirrorCharacter('<'), '>');
+        });
+        
+        QUnit.test('string-like inputs processed as expected', function(a){
+            a.expect(STRINGY_DATA_NAMES.length);
+            STRINGY_DATA_NAMES.forEach(function(dtn){
+                a.equal(
+                    humanJoin.mirrorCharacter(DUMMY_DATA[dtn]),
+                    (DUMMY_DATA[dtn] + '').slice(0, 1),
+                    dtn + ' treated as string'
+                );
+            });
+        });
+        
+        QUnit.test('invalid data returns empty string', function(a){
+            var shouldReturnEmptyStr = NONSTRINGY_DATA_NAMES.concat(['empty string']);
+            a.expect(shouldReturnEmptyStr.length);
+            shouldReturnEmptyStr.forEach(function(dtn){
+                a.equal(
+                    humanJoin.mirrorCharacter(DUMMY_DATA[dtn]),
+                    '',
+                    dtn + ' returns empty string'
+                );
+            });
+        });
+        
+        QUnit.test('Unicode mirror pairs', function(a){
+            var pairs = [['«', '»'], ['‹', '›'], ['「', '」'], ['【', '】'], ['⟨', '⟩'], ['“', '”'], ['‘', '’'], ['„', '“'], ['👉', '👈']];
+            a.expect(pairs.length);
+            pairs.forEach(function(p){
+                a.equal(humanJoin.mirrorCharacter(p[0]), p[1], p[0] + ' mirrored to ' + p[1]);
+            });
+        });
+        
+        QUnit.test('grapheme clusters treated as single characters', function(a){
+            a.expect(3);
+            a.equal(humanJoin.mirrorCharacter('🍏🍎'), '🍏', 'astral characters not split');
+            a.equal(humanJoin.mirrorCharacter('👉🏽!'), '👈🏽', 'modifiers kept when base mirrored');
+            a.equal(humanJoin.mirrorCharacter('(\u0301x'), ')\u0301', 'combining marks kept when base mirrored');
+        });
+        
+        QUnit.test('long strings are truncated', function(a){
+            a.expect(2);
+            a.equal(
+                humanJoin.mirrorCharacter('four'),
+                'f',
+                'long string starting with un-reversible character returns first character'
+            );
+            a.equal(
+                humanJoin.mirrorCharacter('<five'),
+                '>',
+                'long string starting with reversible character returns first character reversed'
+            );
+        });
+    }
+);
+
+QUnit.module('humanJoin.mirrorString() function', {},
+    function(){
+        QUnit.test('function exists', function(a){
+            a.equal(typeof humanJoin.mirrorString, 'function');
+        });
+        
+        QUnit.test('single-character reversible string', function(a){
+            a.equal(humanJoin.mirrorString('<'), '>');
+        });
+        
+        QUnit.test('single-character non-reversible string', function(a){
+            a.equal(humanJoin.mirrorString('f'), 'f');
+        });
+        
+        QUnit.test('multi-character reversible string', function(a){
+            a.equal(humanJoin.mirrorString('<('), ')>');
+        });
+        
+        QUnit.test('multi-character non-reversible string', function(a){
+            a.equal(humanJoin.mirrorString('-+'), '+-');
+        });
+        
+        QUnit.test('multi-character mixed string', function(a){
+            a.equal(humanJoin.mirrorString('-+('), ')+-');
+        });
+        
+        QUnit.test('Unicode string', function(a){
+            a.equal(humanJoin.mirrorString('«“'), '”»');
+        });
+        
+        QUnit.test('surrogate pairs and emoji sequences kept intact', function(a){
+            a.expect(3);
+            a.equal(humanJoin.mirrorString('🍏👉'), '👈🍏', 'astral characters');
+            a.equal(humanJoin.mirrorString('👨\u200D👩\u200D👧<'), '>👨\u200D👩\u200D👧', 'zero width joiner sequence');
+            a.equal(humanJoin.mirrorString('🇮🇪🇫🇷'), '🇫🇷🇮🇪', 'flags');
         });
         
         QUnit.test('string-like inputs processed as expected', function(a){
@@ -389,4 +1860,100 @@ QUnit.module('humanJoin.mirrorString() function', {},
             });
         });
     }
-);
\ No newline at end of file
+);
+
+QUnit.module('module packaging', {},
+    function(){
+        var fs = require('fs');
+        var vm = require('vm');
+        var source = fs.readFileSync(path.join(__dirname, '..', 'humanJoin.js'), 'utf8');
+        
+        QUnit.test('browser global', function(a){
+            a.expect(2);
+            var sandbox = {};
+            vm.runInNewContext(source, sandbox);
+            a.equal(typeof sandbox.humanJoin, 'function', 'humanJoin defined as a global');
+            a.deepEqual(Object.keys(sandbox), ['humanJoin'], 'no other globals defined');
+        });
+        
+        QUnit.test('AMD module', function(a){
+            a.expect(2);
+            var defined;
+            var define = function(deps, factory){ defined = factory(); };
+            define.amd = {};
+            var sandbox = {define: define};
+            vm.runInNewContext(source, sandbox);
+            a.equal(typeof defined, 'function', 'module defined');
+            a.equal(typeof sandbox.humanJoin, 'undefined', 'no global defined');
+        });
+        
+        QUnit.test('ES module named exports', function(a){
+            a.expect(5);
+            var done = a.async();
+            import('../humanJoin.mjs').then(function(esm){
+                a.strictEqual(esm.default, humanJoin, 'default export shares the CommonJS instance');
+                a.strictEqual(esm.humanJoin, humanJoin, 'humanJoin');
+                a.strictEqual(esm.mirrorString, humanJoin.mirrorString, 'mirrorString');
+                a.strictEqual(esm.mirrorCharacter, humanJoin.mirrorCharacter, 'mirrorCharacter');
+                a.strictEqual(esm.resetOptionDefaults, humanJoin.resetOptionDefaults, 'resetOptionDefaults');
+                done();
+            });
+        });
+        
+        QUnit.test('deep imports of the entry points', function(a){
+            a.expect(2);
+            var done = a.async();
+            a.strictEqual(require('@maynoothuniversity/human-join/humanJoin.js'), humanJoin, 'CommonJS file');
+            import('@maynoothuniversity/human-join/humanJoin.mjs').then(function(esm){
+                a.strictEqual(esm.default, humanJoin, 'ES module file');
+                done();
+            });
+        });
+    }
+);
+
+QUnit.module('human-join command', {},
+    function(){
+        QUnit.test('items from arguments', function(a){
+            a.expect(4);
+            var res = runCLI(['apples', 'oranges', 'pears']);
+            a.equal(res.status, 0, 'exits with 0');
+            a.equal(res.stdout, 'apples, oranges & pears\n', 'items joined with default options');
+            a.equal(runCLI(['--', '--oxford', '-q']).stdout, '--oxford & -q\n', 'arguments after -- are items');
+            a.equal(runCLI(['--separator=; ', 'a', 'b', 'c']).stdout, 'a; b & c\n', 'inline option values');
+        });
+        
+        QUnit.test('items from STDIN', function(a){
+            a.expect(3);
+            a.equal(runCLI([], 'a\nb\r\nc\n').stdout, 'a, b & c\n', 'one item per line');
+            a.equal(runCLI(['-0'], 'a b\0c\nd\0').stdout, 'a b & c\nd\n', 'NUL-delimited items');
+            a.equal(runCLI(['--json', '--property', 'n'], '[{"n": "x"}, {"n": "y"}]').stdout, 'x & y\n', 'JSON array');
+        });
+        
+        QUnit.test('options & presets as flags', function(a){
+            a.expect(5);
+            var list = ['a', 'b', 'c'];
+            a.equal(runCLI(['--oxford'].concat(list)).stdout, 'a, b, and c\n', 'shortcut flag');
+            a.equal(runCLI(['-q', '(', '--or'].concat(list)).stdout, '(a), (b) or (c)\n', 'string option & short flag');
+            a.equal(runCLI(['-q', '(', '--no-mirror'].concat(list)).stdout, '(a(, (b( & (c(\n', '--no-mirror');
+            a.equal(runCLI(['--max-items', '1'].concat(list)).stdout, 'a & 2 others\n', 'numeric option');
+            a.equal(runCLI(['--preset', 'oxfordOr'].concat(list)).stdout, 'a, b, or c\n', 'named preset');
+        });
+        
+        QUnit.test('help & errors', function(a){
+            a.expect(10);
+            var help = runCLI(['--help']);
+            a.equal(help.status, 0, '--help exits with 0');
+            a.ok(help.stdout.indexOf('Usage: human-join') === 0, '--help shows usage');
+            a.equal(runCLI(['--bogus', 'a']).status, 2, 'unknown options are usage errors');
+            a.equal(runCLI(['--max-items', 'lots', 'a']).status, 2, 'invalid numbers are usage errors');
+            a.equal(runCLI(['--separator']).status, 2, 'missing values are usage errors');
+            a.equal(runCLI(['--json'], '{"a": 1}').status, 1, 'invalid input is an error');
+            var inherited = runCLI(['--constructor', 'a', 'b']);
+            a.equal(inherited.status, 2, 'inherited object keys are not options');
+            a.equal(inherited.stdout, '', 'nothing joined after an unknown option');
+            a.equal(runCLI(['--strict', '--empty', 'bogus', 'a', 'b']).status, 2, 'invalid values in strict mode are usage errors');
+            a.equal(runCLI(['--strict', '--empty', 'throw', 'a', '']).status, 1, 'invalid items in strict mode are errors');
+        });
+    }
+);